@@ -5,11 +5,13 @@
 
 // Require the main chart class implementation
 const { StreamingChart: StreamingChartImpl } = require('./src/chart');
+const { ChartGroup } = require('./src/chartGroup');
 
 /**
  * Factory function to create the StreamingChart class.
  * @param {object} d3 - The D3 library instance (v7 required).
- * @returns {{StreamingChart: StreamingChart}} - An object containing the StreamingChart class constructor.
+ * @returns {{StreamingChart: StreamingChart, ChartGroup: ChartGroup}} - An object containing the StreamingChart class constructor
+ *   and the ChartGroup class used to link charts.
  * @throws {Error} If d3 is not provided.
  */
 module.exports = function(d3) {
@@ -25,6 +27,7 @@ module.exports = function(d3) {
             // Pass d3 along with other arguments to the implementation's constructor
             super(d3, targetElement, initialConfig);
         }
-    }
+    },
+    ChartGroup // Needs no D3, works on any StreamingChart instances
   };
 };
\ No newline at end of file
@@ -0,0 +1,235 @@
+/**
+ * Data source adapters for StreamingChart: feed `addData` from sockets and streams.
+ */
+const { splitCSVRecords } = require('./dataExport');
+
+const DEFAULT_CONNECT_OPTIONS = {
+    format: "ndjson", // "ndjson" (one JSON row per line) or "csv" (header line, then one row per line)
+    parse: null, // Custom parser: (line) => row | row[] | null, replaces `format`
+    batchInterval: 0, // Milliseconds to collect rows before handing them to the chart as one batch
+    maxBatchSize: 10000 // Rows that trigger an immediate hand-over regardless of `batchInterval`
+};
+
+/**
+ * Converts one CSV field: numbers and dates become numbers, empty fields become null.
+ * @param {string} field - The raw field.
+ * @returns {number|string|null}
+ */
+function parseCSVField(field) {
+    const value = field.trim();
+    if (value === "") return null;
+    const number = Number(value);
+    if (!isNaN(number)) return number;
+    const time = Date.parse(value);
+    return isNaN(time) ? value : time;
+}
+
+/**
+ * Creates the line parser for a connection: a custom `parse`, or one for the `format`.
+ * The CSV parser takes the keys of its rows from the first line; fields may be
+ * double-quoted (see `splitCSVRecords`), but not span lines.
+ * @param {object} options - The connection options.
+ * @returns {function} - (line) => row | row[] | null
+ */
+function createLineParser(options) {
+    if (typeof options.parse === "function") return options.parse;
+    if (options.format === "csv") {
+        let keys = null;
+        return (line) => {
+            const [fields] = splitCSVRecords(line); // Quoted fields as in `importData` dumps
+            if (!keys) {
+                keys = fields.map((field) => field.trim());
+                return null;
+            }
+            const row = {};
+            keys.forEach((key, i) => {
+                if (i < fields.length) row[key] = parseCSVField(fields[i]);
+            });
+            return row;
+        };
+    }
+    if (options.format !== "ndjson") {
+        console.warn(`Unknown data format "${options.format}", parsing lines as "ndjson".`);
+    }
+    return (line) => JSON.parse(line);
+}
+
+/**
+ * Reads rows from a data source and hands them to `onRows` in batches.
+ * Supported sources:
+ * - `WebSocket` and `EventSource` (any object with `addEventListener`): every
+ *   `message` event's data is read as text lines;
+ * - WHATWG `ReadableStream` of strings or bytes, split into lines;
+ * - async (or sync) iterables of strings, bytes, or already parsed rows.
+ * Text is split into lines and each non-empty line is parsed into a row
+ * (see `createLineParser`); lines that fail to parse are skipped with a warning.
+ * Rows arriving while a batch is pending join it, so a fast source costs one
+ * `onRows` call per `batchInterval`.
+ * @param {object} source - The data source.
+ * @param {function} onRows - Called with an array of rows.
+ * @param {object} [options={}] - See DEFAULT_CONNECT_OPTIONS.
+ * @returns {object} - { disconnect(), done }: `disconnect` stops reading (stream readers
+ *   are cancelled, event listeners removed; sockets are left open), `done` is a Promise
+ *   resolved once the source has ended or was disconnected.
+ */
+function connectSource(source, onRows, options = {}) {
+    const settings = { ...DEFAULT_CONNECT_OPTIONS, ...options };
+    const parseLine = createLineParser(settings);
+    const decoder = typeof TextDecoder === "function" ? new TextDecoder() : null;
+    let pendingText = ""; // Incomplete last line of the text received so far
+    let batch = [];
+    let batchTimer = null;
+    let isConnected = true;
+    let stopReading = () => {};
+
+    const flush = () => {
+        if (batchTimer !== null) {
+            clearTimeout(batchTimer);
+            batchTimer = null;
+        }
+        if (batch.length === 0) return;
+        const rows = batch;
+        batch = [];
+        try {
+            onRows(rows);
+        } catch (error) {
+            // Often called from a timer: a rejected batch must not end the connection
+            console.warn(`Skipped a batch of ${rows.length} rows that could not be added:`, error);
+        }
+    };
+
+    const addRows = (rows) => {
+        if (!isConnected || rows === null || rows === undefined) return;
+        if (Array.isArray(rows)) {
+            rows.forEach((row) => batch.push(row));
+        } else {
+            batch.push(rows);
+        }
+        if (batch.length >= settings.maxBatchSize) {
+            flush();
+        } else if (batchTimer === null) {
+            batchTimer = setTimeout(flush, settings.batchInterval);
+        }
+    };
+
+    const addLine = (line) => {
+        if (line.trim() === "") return;
+        try {
+            addRows(parseLine(line));
+        } catch (error) {
+            console.warn(`Skipped unparsable data line: ${line.slice(0, 80)}`, error);
+        }
+    };
+
+    const addText = (text, isLast = false) => {
+        const lines = (pendingText + text).split(/\r?\n/);
+        pendingText = isLast ? "" : lines.pop();
+        lines.forEach(addLine);
+    };
+
+    const isBytes = (chunk) => decoder && (chunk instanceof ArrayBuffer || ArrayBuffer.isView(chunk));
+
+    // Strings and bytes are text to split into lines; anything else is a parsed row (or rows)
+    const addChunk = (chunk) => {
+        if (typeof chunk === "string") {
+            addText(chunk);
+        } else if (isBytes(chunk)) {
+            addText(decoder.decode(chunk, { stream: true }));
+        } else {
+            addRows(chunk);
+        }
+    };
+
+    const finish = () => {
+        if (!isConnected) return;
+        if (pendingText !== "") addText("", true); // The last line needs no trailing newline
+        flush();
+        isConnected = false;
+    };
+
+    let done;
+    if (source && typeof source.getReader === "function") {
+        const reader = source.getReader();
+        stopReading = () => reader.cancel().catch(() => {});
+        done = (async () => {
+            for (;;) {
+                const { value, done: isDone } = await reader.read();
+                if (isDone || !isConnected) break;
+                addChunk(value);
+            }
+        })();
+    } else if (source && (typeof source[Symbol.asyncIterator] === "function" || typeof source[Symbol.iterator] === "function")) {
+        const iterator = typeof source[Symbol.asyncIterator] === "function"
+            ? source[Symbol.asyncIterator]()
+            : source[Symbol.iterator]();
+        stopReading = () => {
+            Promise.resolve(iterator.return?.()).catch(() => {});
+        };
+        done = (async () => {
+            for (;;) {
+                const { value, done: isDone } = await iterator.next();
+                if (isDone || !isConnected) break;
+                addChunk(value);
+            }
+        })();
+    } else if (source && typeof source.addEventListener === "function") {
+        let resolveDone;
+        done = new Promise((resolve) => { resolveDone = resolve; });
+        // Blob messages (WebSocket binaryType "blob") are read asynchronously: every
+        // message and the close go through one promise chain to keep their arrival order
+        let messages = Promise.resolve();
+        const enqueue = (handler) => {
+            messages = messages.then(handler).catch((error) => console.warn("Skipped an unreadable message:", error));
+        };
+        // A message holds whole lines, as text or bytes
+        const onMessage = (event) => {
+            const { data } = event;
+            enqueue(async () => {
+                const message = typeof Blob === "function" && data instanceof Blob ? await data.arrayBuffer() : data;
+                if (!isConnected) return;
+                if (typeof message === "string") {
+                    addText(message + "\n");
+                } else if (isBytes(message)) {
+                    addText(decoder.decode(message) + "\n");
+                } else {
+                    addChunk(message);
+                }
+            });
+        };
+        const onClose = () => enqueue(() => {
+            finish();
+            removeListeners();
+        });
+        const removeListeners = () => {
+            source.removeEventListener("message", onMessage);
+            source.removeEventListener("close", onClose);
+            resolveDone();
+        };
+        source.addEventListener("message", onMessage);
+        source.addEventListener("close", onClose); // WebSocket only; EventSource reconnects by itself
+        stopReading = removeListeners;
+    } else {
+        console.warn("Unsupported data source: expected a WebSocket, EventSource, ReadableStream or async iterable.");
+        isConnected = false;
+        return { disconnect() {}, done: Promise.resolve() };
+    }
+
+    done = done.then(finish, (error) => {
+        if (isConnected) console.error("Data source failed:", error);
+        finish();
+    });
+
+    return {
+        disconnect() {
+            if (!isConnected) return;
+            finish(); // Rows already received are still handed over
+            stopReading();
+        },
+        done
+    };
+}
+
+module.exports = {
+    DEFAULT_CONNECT_OPTIONS,
+    connectSource
+};
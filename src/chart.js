@@ -3,13 +3,13 @@
  * Orchestrates various modules for configuration, data, scales, rendering, DOM, and interactions.
  */
 
-const { defaultConfig, deepMerge } = require('./config');
-const { createColorScale, getColorForSeries } = require('./utils');
+const { defaultConfig, deepMerge, normalizeDurationOptions } = require('./config');
+const { createColorScale, getColorForSeries, toNumericX, parseDuration } = require('./utils');
 // Import assignInitialColors
-const { initSeriesConfigs, getDefaultSeriesConfig, pruneData, ensureSeriesExists, updateSeriesConfig: updateSeriesConfigInternal, assignInitialColors } = require('./data');
-const { initializeScales, initializeAxes, getFullXDomain, getFullYDomain, calculateXDomain, calculateYDomain, updateScaleDomains, updateAxes } = require('./scalesAxes');
-const { initializeLineGenerator, updateGridLines, updateLines, updateLegend, getLegendPosition } = require('./rendering');
-const { initializeZoom, applyZoomBehavior, updateZoomExtents } = require('./zoom'); // Remove handleZoom import
+const { SAMPLE_ORDERINGS, DUPLICATE_X_POLICIES, addSample, isColumn, toSeriesColumns, initSeriesConfigs, normalizeSeriesDurations, normalizeValueFormat, getDefaultSeriesConfig, pruneData, pruneAllData, ensureSeriesExists, updateSeriesConfig: updateSeriesConfigInternal, assignInitialColors, getSeriesData } = require('./data');
+const { PRIMARY_Y_AXIS_ID, getYAxisConfig, getSecondaryYAxisIds, getSecondaryYAxisOffsets, getYAxesMargins, checkYAxisRanges, createYScale, createSecondaryYAxis, initializeScales, getDomain, zoomDomain, initializeAxes, getFullXDomain, getFullYDomain, calculateXDomain, calculateYDomain, updateScaleDomains, updateAxes } = require('./scalesAxes');
+const { SERIES_TYPES, initializeSeriesGenerators, updateGridLines, updateLines, drawLinesCanvas, updateLegend, updateLegendValues, getLegendSpace, getLegendPosition } = require('./rendering');
+const { initializeZoom, applyZoomBehavior, updateZoomExtents, getBoxZoomAxes, isBoxZoomStart, createBoxZoomRect, getBoxZoomExtent, updateBoxZoomRect, isBoxZoomExtentValid, isSameView, pushView } = require('./zoom'); // Remove handleZoom import
 const {
     calculateDimensions,
     createSVGStructure,
@@ -21,8 +21,20 @@ const {
     createFollowButton,
     // Import the moved functions
     updateFollowButtonAppearance,
-    updateFollowButtonPosition
+    updateFollowButtonPosition,
+    createCanvasLayer,
+    updateCanvasLayer,
+    removeCanvasLayer,
+    createSecondaryYAxisGroup,
+    updateSecondaryYAxisLabel,
+    updateYAxisHitArea
 } = require('./dom');
+const { getRenderData } = require('./downsampling');
+const { createXFormatter, createTooltip, findNearestPoints, updateTooltip, hideTooltip } = require('./tooltip');
+const { addListener, removeListener, emitEvent } = require('./events');
+const { connectSource } = require('./adapters');
+const { createExportSVG, serializeSVG, rasterizeSVG } = require('./export');
+const { DATA_FORMATS, toCSV, parseCSV, toJSON, detectDataFormat } = require('./dataExport');
 
 
 class StreamingChart {
@@ -31,11 +43,15 @@ class StreamingChart {
     // Configuration & State
     #d3; // Injected D3 library
     #config;
-    #dataStore = {}; // { seriesId: [{x, y}, ...] }
+    #dataStore = {}; // { seriesId: RingBuffer }
     #seriesConfigs = {}; // Merged default/user configs per series
     #isDestroyed = false;
+    #listeners = {}; // { eventName: [handler, ...] }, see `on`/`off`
+    #lastEmittedView = null; // JSON of the last `viewchange` domains, to skip unchanged views
     #currentZoomTransform = null; // Stores the current d3.zoomTransform object
     #isZoomingOrPanning = false; // Flag to indicate an active zoom/pan gesture
+    #pendingFrame = null; // requestAnimationFrame id of the scheduled data redraw, see #scheduleDataRender
+    #connections = new Set(); // Open data source connections, see `connect`
     // REMOVE: #initialScalesOnZoomStart = null;
 
     // --- NEW State for lib2.js style zoom ---
@@ -51,18 +67,40 @@ class StreamingChart {
     #frozenXDomain = null; // Stores the X domain when follow is turned off
     #frozenYDomain = null; // Stores the Y domain when follow is turned off
 
+    // Additional Y axes (`yAxes` config); their drawing scales live in #scales.yScales
+    #secondaryYAxes = {}; // { axisId: { initialScale, referenceScale, frozenDomain, axisGenerator, axisGroup } }
+
     // --- NEW DOM Element for Follow Button ---
     #followButtonGroup = null; // D3 selection for the button group
 
+    // Tooltip State
+    #tooltipLayer = null; // D3 selection for the crosshair/tooltip layer
+    #tooltipPointer = null; // Last pointer position [x, y] in plot coordinates, null when outside
+    #linkedCursorX = null; // Crosshair X (data units) shown on behalf of a linked chart, see `setCrosshair`
+
+    // Box Zoom State
+    #boxZoomAxes = null; // { x, y } axes changed by a box zoom (`interactions.boxZoom`), null when off
+    #boxZoomRect = null; // D3 selection for the selection rectangle
+    #boxZoomStart = null; // [x, y] where the current box zoom drag started, null when not dragging
+    #boxZoomWindow = null; // D3 selection of the window listening to the current drag
+
+    // View History (`undoView`/`redoView`), views as returned by `getView`
+    #undoViews = []; // Views to go back to, oldest first
+    #redoViews = []; // Views undone, most recently undone last
+    #pendingHistoryView = null; // View the current zoom/pan gesture started from, recorded when it ends
+    #axisWheelTimer = null; // Ends a Y axis wheel gesture, see #onYAxisWheel
+
     // Dimensions & Margins (Initialized if targetElement exists)
     #width;
     #height;
     #margin = { top: 30, right: 80, bottom: 40, left: 50 }; // Default margin
+    #baseMargin = { ...this.#margin }; // Margin before making room for additional Y axes and an outside legend
+    #legendSpace = { right: 0, bottom: 0 }; // Room taken by a "right"/"bottom" legend, see #updateMargin
 
     // D3 Objects (Initialized if targetElement exists)
-    #scales = { xScale: null, yScale: null };
+    #scales = { xScale: null, yScale: null, yScales: {} };
     #axesGenerators = { xAxis: null, yAxis: null };
-    #lineGenerator = null;
+    #seriesGenerators = null; // Shape generators for line/step/area series
     #zoomBehavior = null;
     #colorScale = null;
 
@@ -73,6 +111,7 @@ class StreamingChart {
         gridXGroup: null, gridYGroup: null, linesGroup: null, legendGroup: null,
         zoomOverlay: null
     };
+    #canvasLayer = null; // D3 selection for the canvas used by renderingHint "performance"
     #clipPathId;
     #resizeObserver = null;
 
@@ -93,7 +132,9 @@ class StreamingChart {
 
         // Config
         this.#config = deepMerge(defaultConfig, initialConfig);
-        initSeriesConfigs(this.#config, this.#seriesConfigs);
+        normalizeDurationOptions(this.#config);
+        checkYAxisRanges(this.#config);
+        initSeriesConfigs(this.#d3, this.#config, this.#seriesConfigs);
         this.#colorScale = createColorScale(this.#d3); // Initialize color scale early
 
         // Use imported function
@@ -115,6 +156,9 @@ class StreamingChart {
             updateFollowButtonPosition(this.#followButtonGroup, this.#margin, this.#width, this.#height);
             // --- End NEW ---
             this.#setupInteractions(); // Setup unified zoom/pan using the new handler
+            this.#setupTooltip();
+            this.#setupBoxZoom();
+            this.#setupViewHistory();
             this.#setupResizeHandling();
             this.redraw(); // Initial draw
         } else {
@@ -122,13 +166,14 @@ class StreamingChart {
             const { width, height } = calculateDimensions({ clientWidth: 600, clientHeight: 400 }, this.#margin); // Assume default size
             this.#width = width;
             this.#height = height;
-            this.#scales = initializeScales(this.#d3, this.#width, this.#height);
+            this.#scales = initializeScales(this.#d3, this.#width, this.#height, this.#config);
             // --- NEW: Initialize initial/reference scales even in headless mode ---
             this.#initialXScale = this.#scales.xScale.copy();
             this.#initialYScale = this.#scales.yScale.copy();
             this.#referenceXScale = this.#scales.xScale.copy();
             this.#referenceYScale = this.#scales.yScale.copy();
             // --- End NEW ---
+            this.#setupSecondaryYAxes();
         }
     }
 
@@ -137,15 +182,16 @@ class StreamingChart {
     #initializeChartDOM() {
         if (!this.#targetElement) return;
 
+        this.#updateMargin();
         const dims = calculateDimensions(this.#targetElement, this.#margin);
         this.#width = dims.width;
         this.#height = dims.height;
 
         const svgTotalWidth = this.#width + this.#margin.left + this.#margin.right;
         const svgTotalHeight = this.#height + this.#margin.top + this.#margin.bottom;
-        this.#svgElements = createSVGStructure(this.#d3, this.#targetElement, svgTotalWidth, svgTotalHeight, this.#clipPathId, this.#margin);
+        this.#svgElements = createSVGStructure(this.#d3, this.#targetElement, svgTotalWidth, svgTotalHeight, this.#clipPathId, this.#margin, getSecondaryYAxisIds(this.#config));
 
-        this.#scales = initializeScales(this.#d3, this.#width, this.#height);
+        this.#scales = initializeScales(this.#d3, this.#width, this.#height, this.#config);
         // --- NEW: Initialize initial/reference scales ---
         this.#initialXScale = this.#scales.xScale.copy();
         this.#initialYScale = this.#scales.yScale.copy();
@@ -153,7 +199,8 @@ class StreamingChart {
         this.#referenceYScale = this.#scales.yScale.copy();
         // --- End NEW ---
         this.#axesGenerators = initializeAxes(this.#d3, this.#scales);
-        this.#lineGenerator = initializeLineGenerator(this.#d3, this.#scales);
+        this.#seriesGenerators = initializeSeriesGenerators(this.#d3);
+        this.#setupSecondaryYAxes();
 
         addAxisLabels(this.#svgElements.mainGroup, this.#config, this.#width, this.#height, this.#margin);
 
@@ -179,7 +226,12 @@ class StreamingChart {
                     // Give D3 a very wide range; our domain width/height checks will be the effective limit.
                     .scaleExtent([0.001, 10000]) // Wider range (e.g., 1000x zoom out, 10000x zoom in)
                     .extent([[0, 0], [this.#width, this.#height]])
-                    .on("zoom", this.#handleZoomEvent.bind(this));
+                    .filter(this.#isZoomEvent.bind(this))
+                    .on("zoom", this.#handleZoomEvent.bind(this))
+                    .on("start.history", (event) => {
+                        if (event.sourceEvent) this.#pendingHistoryView = this.getView(); // User gestures only
+                    })
+                    .on("end.history", () => this.#endViewGesture());
                 // --- End UPDATED ---
             }
             // Apply the behavior (enables zoom/pan based on config)
@@ -199,6 +251,112 @@ class StreamingChart {
         }
     }
 
+    #setupTooltip() {
+        if (!this.#targetElement || !this.#svgElements.zoomOverlay) return;
+        const zoomOverlay = this.#svgElements.zoomOverlay;
+
+        if (this.#config.interactions.tooltip) {
+            if (!this.#tooltipLayer) {
+                this.#tooltipLayer = createTooltip(this.#svgElements.mainGroup);
+            }
+            // Namespaced listeners so they coexist with the D3 zoom listeners on the overlay
+            zoomOverlay
+                .on("mousemove.tooltip", this.#onTooltipMove.bind(this))
+                .on("mouseleave.tooltip", this.#onTooltipLeave.bind(this));
+        } else {
+            zoomOverlay.on(".tooltip", null);
+            this.#tooltipPointer = null;
+            hideTooltip(this.#tooltipLayer);
+        }
+    }
+
+    // D3 zoom's default filter (no secondary buttons, no ctrl-drag), minus the drags that start a box zoom
+    #isZoomEvent(event) {
+        if ((event.ctrlKey && event.type !== "wheel") || event.button) return false;
+        return !(event.type === "mousedown" && this.#boxZoomAxes &&
+            isBoxZoomStart(event, this.#config.interactions.boxZoomModifier));
+    }
+
+    #setupBoxZoom() {
+        if (!this.#targetElement || !this.#svgElements.zoomOverlay) return;
+        this.#cancelBoxZoom();
+        this.#boxZoomAxes = getBoxZoomAxes(this.#config.interactions.boxZoom);
+        if (this.#boxZoomAxes && !this.#boxZoomRect) {
+            this.#boxZoomRect = createBoxZoomRect(this.#svgElements.mainGroup);
+        }
+        // Namespaced so it coexists with the D3 zoom listeners, which skip box zoom drags (see #isZoomEvent)
+        this.#svgElements.zoomOverlay.on("mousedown.boxzoom", this.#boxZoomAxes ? this.#onBoxZoomStart.bind(this) : null);
+        if (this.#boxZoomAxes && this.#config.interactions.boxZoomModifier === null) {
+            this.#svgElements.zoomOverlay.style("cursor", "crosshair"); // Mouse drags select instead of panning
+        }
+    }
+
+    #setupViewHistory() {
+        if (!this.#targetElement || !this.#svgElements.zoomOverlay) return;
+        const { historySize, doubleClick, keyboard } = this.#config.interactions;
+        const maxSize = Math.max(0, historySize || 0);
+        this.#undoViews.splice(0, Math.max(0, this.#undoViews.length - maxSize));
+        this.#redoViews.splice(0, Math.max(0, this.#redoViews.length - maxSize));
+
+        if (doubleClick && doubleClick !== "undo" && doubleClick !== "reset") {
+            console.warn(`Unknown interactions.doubleClick value "${doubleClick}", expected "undo", "reset" or null.`);
+        }
+        this.#svgElements.zoomOverlay.on("dblclick.history", doubleClick ? this.#onDoubleClick.bind(this) : null);
+
+        // Shortcuts need the focus: the SVG becomes focusable and takes it when the plot is pressed
+        const svg = this.#svgElements.svg;
+        svg.attr("tabindex", keyboard ? 0 : null)
+            .on("keydown.history", keyboard ? this.#onHistoryKeyDown.bind(this) : null);
+        this.#svgElements.zoomOverlay.on("pointerdown.history", keyboard ? () => svg.node().focus({ preventScroll: true }) : null);
+    }
+
+    // Creates, updates or removes the additional Y axes so they match `config.yAxes`.
+    // Scales are recreated (their type may have changed) but keep their current domain.
+    #setupSecondaryYAxes() {
+        const axisIds = getSecondaryYAxisIds(this.#config);
+        const svgGroups = this.#svgElements.secondaryYAxisGroups || {};
+
+        for (const axisId of Object.keys(this.#secondaryYAxes)) {
+            if (!axisIds.includes(axisId)) {
+                this.#secondaryYAxes[axisId].axisGroup?.remove();
+                delete svgGroups[axisId]; // Re-adding the axis later creates a new group
+                delete this.#secondaryYAxes[axisId];
+                delete this.#scales.yScales[axisId];
+            }
+        }
+
+        for (const axisId of axisIds) {
+            const axisConfig = getYAxisConfig(this.#config, axisId);
+            const previousScale = this.#scales.yScales[axisId];
+            const scale = createYScale(this.#d3, axisConfig).range([this.#height, 0]);
+            if (previousScale) {
+                scale.domain(getDomain(previousScale));
+            }
+            this.#scales.yScales[axisId] = scale;
+
+            const entry = this.#secondaryYAxes[axisId] || { frozenDomain: null, axisGroup: null };
+            entry.initialScale = scale.copy();
+            entry.referenceScale = scale.copy();
+            entry.axisGenerator = createSecondaryYAxis(this.#d3, scale, axisConfig);
+            if (this.#targetElement && !entry.axisGroup) {
+                entry.axisGroup = svgGroups[axisId] || createSecondaryYAxisGroup(this.#svgElements.mainGroup, axisId);
+            }
+            this.#secondaryYAxes[axisId] = entry;
+        }
+        this.#setupYAxisWheelZoom();
+    }
+
+    // Wheel over a Y axis zooms that axis alone
+    #setupYAxisWheelZoom() {
+        if (!this.#targetElement) return;
+        const zoomEnabled = this.#config.interactions.zoom;
+        const axisGroups = [[PRIMARY_Y_AXIS_ID, this.#svgElements.yAxisGroup]]
+            .concat(Object.entries(this.#secondaryYAxes).map(([axisId, entry]) => [axisId, entry.axisGroup]));
+        for (const [axisId, axisGroup] of axisGroups) {
+            axisGroup.on("wheel.axiszoom", zoomEnabled ? (event) => this.#onYAxisWheel(axisId, event) : null);
+        }
+    }
+
     // --- REMOVED #setupDragBehavior ---
     // --- REMOVED #isInteractionEnabled (can check config directly) ---
 
@@ -217,8 +375,9 @@ class StreamingChart {
         if (!this.#isFollowing) {
             // --- Turning Follow OFF ---
             // Store the current view domains from the drawing scales
-            this.#frozenXDomain = this.#scales.xScale.domain();
-            this.#frozenYDomain = this.#scales.yScale.domain();
+            this.#frozenXDomain = getDomain(this.#scales.xScale);
+            this.#frozenYDomain = getDomain(this.#scales.yScale);
+            this.#freezeSecondaryYAxes();
             // Sync initial/reference scales and D3 state to match this frozen view
             this.#syncScalesAndZoomState(this.#frozenXDomain, this.#frozenYDomain);
 
@@ -226,6 +385,7 @@ class StreamingChart {
             // --- Turning Follow ON ---
             this.#frozenXDomain = null;
             this.#frozenYDomain = null;
+            this.#unfreezeSecondaryYAxes();
             this.#isZoomingOrPanning = false; // Ensure flag is reset
 
             // Reset D3 zoom state to identity *and* apply it
@@ -251,10 +411,155 @@ class StreamingChart {
         if (this.#config.debug) {
             console.log(`Follow mode set to: ${this.#isFollowing}`);
         }
+        this.#emit("followchange", { following: this.#isFollowing, cause: "button" });
+        this.#emitViewChange("follow");
     }
 
     // --- Event Handlers ---
 
+    #onTooltipMove(event) {
+        if (this.#isDestroyed) return;
+        this.#tooltipPointer = this.#d3.pointer(event, this.#svgElements.zoomOverlay.node());
+        this.#updateTooltipDisplay();
+        this.#emit("cursormove", { x: +this.#scales.xScale.invert(this.#tooltipPointer[0]) });
+    }
+
+    #onTooltipLeave() {
+        if (this.#isDestroyed) return;
+        this.#tooltipPointer = null;
+        this.#updateTooltipDisplay();
+        this.#emit("cursormove", { x: null });
+    }
+
+    #onBoxZoomStart(event) {
+        if (this.#isDestroyed || !isBoxZoomStart(event, this.#config.interactions.boxZoomModifier)) return;
+        event.preventDefault(); // No text selection while dragging
+        const overlayNode = this.#svgElements.zoomOverlay.node();
+        this.#boxZoomStart = this.#d3.pointer(event, overlayNode);
+        // Follow the pointer outside the plot too, and listen for Escape
+        this.#boxZoomWindow = this.#d3.select(this.#targetElement.ownerDocument.defaultView)
+            .on("mousemove.boxzoom", (moveEvent) => {
+                updateBoxZoomRect(this.#boxZoomRect, this.#getBoxZoomExtent(this.#d3.pointer(moveEvent, overlayNode)));
+            })
+            .on("mouseup.boxzoom", (upEvent) => {
+                const extent = this.#getBoxZoomExtent(this.#d3.pointer(upEvent, overlayNode));
+                const axes = this.#boxZoomAxes;
+                this.#cancelBoxZoom();
+                if (isBoxZoomExtentValid(extent, axes)) {
+                    this.#zoomToBox(extent, axes);
+                }
+            })
+            .on("keydown.boxzoom", (keyEvent) => {
+                if (keyEvent.key !== "Escape") return;
+                keyEvent.preventDefault();
+                this.#cancelBoxZoom();
+                if (this.#config.debug) {
+                    console.log("Box zoom cancelled.");
+                }
+            });
+    }
+
+    #getBoxZoomExtent(pointer) {
+        return getBoxZoomExtent(this.#boxZoomStart, pointer, this.#boxZoomAxes, this.#width, this.#height);
+    }
+
+    // Ends the current box zoom drag, if any, without zooming
+    #cancelBoxZoom() {
+        this.#boxZoomWindow?.on(".boxzoom", null);
+        this.#boxZoomWindow = null;
+        this.#boxZoomStart = null;
+        updateBoxZoomRect(this.#boxZoomRect, null);
+    }
+
+    // Zooms to the pixel box `extent` through the same path as `setView`. Axes the box
+    // zoom leaves alone, or whose box span breaks their domain limits, keep their domain.
+    #zoomToBox(extent, axes) {
+        const { xScale, yScale, yScales } = this.#scales;
+        const fitsLimits = (domain, min, max) => {
+            const span = Math.abs(domain[1] - domain[0]);
+            return span >= min && span <= max;
+        };
+        const view = { yAxes: {} };
+
+        if (axes.x) {
+            const xDomain = [toNumericX(xScale.invert(extent.x0)), toNumericX(xScale.invert(extent.x1))];
+            const { minDomainWidth, maxDomainWidth } = this.#config.xAxis;
+            if (fitsLimits(xDomain, parseDuration(minDomainWidth), parseDuration(maxDomainWidth))) {
+                [view.xMin, view.xMax] = xDomain;
+            }
+        }
+        // Screen Y grows downwards: the box bottom is the domain minimum
+        const getYDomain = (scale, axisConfig) => {
+            const boxDomain = [+scale.invert(extent.y1), +scale.invert(extent.y0)];
+            return axes.y && fitsLimits(boxDomain, axisConfig.minDomainHeight, axisConfig.maxDomainHeight)
+                ? boxDomain
+                : getDomain(scale);
+        };
+        [view.yMin, view.yMax] = getYDomain(yScale, this.#config.yAxis);
+        for (const axisId of Object.keys(this.#secondaryYAxes)) {
+            const [min, max] = getYDomain(yScales[axisId], getYAxisConfig(this.#config, axisId));
+            view.yAxes[axisId] = { min, max };
+        }
+
+        if (this.#config.debug) {
+            console.log("Box zoom to view:", view);
+        }
+        const before = this.getView();
+        this.#applyView(view, "boxZoom");
+        this.#recordView(before);
+    }
+
+    #onDoubleClick(event) {
+        if (this.#isDestroyed) return;
+        event.preventDefault();
+        if (this.#config.interactions.doubleClick === "undo" && this.undoView()) return;
+        this.resetView(); // Nothing to go back to: auto-range view
+    }
+
+    #onHistoryKeyDown(event) {
+        if (this.#isDestroyed || !(event.ctrlKey || event.metaKey) || event.altKey) return;
+        const key = event.key.toLowerCase();
+        if (key === "z" && !event.shiftKey) {
+            this.undoView();
+        } else if (key === "y" || key === "z") {
+            this.redoView();
+        } else {
+            return;
+        }
+        event.preventDefault(); // Not the page's own undo
+    }
+
+    // Records `before`, the view a change started from, for `undoView` (if the view did change)
+    #recordView(before) {
+        const maxSize = this.#config.interactions.historySize;
+        if (!before || !(maxSize > 0) || isSameView(before, this.getView())) return;
+        pushView(this.#undoViews, before, maxSize);
+        this.#redoViews = [];
+    }
+
+    #endViewGesture() {
+        if (this.#isDestroyed) return;
+        const before = this.#pendingHistoryView;
+        this.#pendingHistoryView = null;
+        this.#recordView(before);
+    }
+
+    // Goes to a view from the history: follow mode, or frozen on its domains
+    #restoreView(view, cause) {
+        if (view.following) {
+            this.#resetView(cause);
+            return;
+        }
+        const [xMin, xMax] = view.xDomain;
+        const [yMin, yMax] = view.yDomain;
+        const yAxes = {};
+        for (const axisId in view.yAxes) {
+            const [min, max] = view.yAxes[axisId];
+            yAxes[axisId] = { min, max };
+        }
+        this.#applyView({ xMin, xMax, yMin, yMax, yAxes }, cause);
+    }
+
     // --- REMOVED #onZoomStart ---
     // --- REMOVED #onZoom ---
     // --- REMOVED #onZoomEnd ---
@@ -273,8 +578,9 @@ class StreamingChart {
         if (this.#isFollowing && sourceEvent) {
             this.#isFollowing = false;
             // Store current domains before they change
-            this.#frozenXDomain = this.#scales.xScale.domain();
-            this.#frozenYDomain = this.#scales.yScale.domain();
+            this.#frozenXDomain = getDomain(this.#scales.xScale);
+            this.#frozenYDomain = getDomain(this.#scales.yScale);
+            this.#freezeSecondaryYAxes();
             // Sync initial/reference scales to this state *before* applying the new zoom
             this.#syncScalesAndZoomState(this.#frozenXDomain, this.#frozenYDomain);
             updateFollowButtonAppearance(this.#followButtonGroup, this.#isFollowing);
@@ -283,6 +589,7 @@ class StreamingChart {
                 console.log("[DEBUG] Follow mode turned OFF due to user interaction.");
             }
             // --- End Debug log ---
+            this.#emit("followchange", { following: false, cause: "interaction" });
         }
 
         // Set zooming flag (useful for addData logic)
@@ -290,14 +597,16 @@ class StreamingChart {
         clearTimeout(this._zoomEndTimer);
         this._zoomEndTimer = setTimeout(() => { this.#isZoomingOrPanning = false; }, 150);
 
-        const currentXDomain = this.#scales.xScale.domain(); // Get current domains *before* calculating new ones
-        const currentYDomain = this.#scales.yScale.domain();
+        const currentXDomain = getDomain(this.#scales.xScale); // Get current domains *before* calculating new ones
+        const currentYDomain = getDomain(this.#scales.yScale);
         let newXDomain = [...currentXDomain]; // Start with current domains
         let newYDomain = [...currentYDomain];
         let domainChangedX = false;
         let domainChangedY = false;
+        let secondaryDomainsChanged = false;
         let isAltZoom = false;
         let isShiftZoom = false;
+        let isPan = false;
 
         const independentZoomFactor = 1.5;
 
@@ -309,14 +618,14 @@ class StreamingChart {
             const pointerY_svg = sourceEvent.offsetY;
             const pointerY_plot = pointerY_svg - this.#margin.top;
             const zoomDirection = wheelDeltaY < 0 ? independentZoomFactor : 1 / independentZoomFactor;
-            const yValue_plot = this.#referenceYScale.invert(pointerY_plot);
-            const [y0, y1] = this.#referenceYScale.domain();
+            const yValue_plot = +this.#referenceYScale.invert(pointerY_plot);
 
-            newYDomain = [
-                yValue_plot + (y0 - yValue_plot) / zoomDirection,
-                yValue_plot + (y1 - yValue_plot) / zoomDirection
-            ];
+            // Zoom in the scale's linear space so log/symlog/pow axes zoom evenly
+            newYDomain = zoomDomain(getDomain(this.#referenceYScale), yValue_plot, zoomDirection, this.#config.yAxis);
             domainChangedY = true;
+            // Additional Y axes zoom around the same pointer position
+            secondaryDomainsChanged = this.#zoomSecondaryYAxes((axisId, entry, axisConfig) =>
+                zoomDomain(getDomain(entry.referenceScale), +entry.referenceScale.invert(pointerY_plot), zoomDirection, axisConfig));
 
             // --- Debug log ---
             if (this.#config.debug) {
@@ -338,8 +647,8 @@ class StreamingChart {
             const pointerX_plot = pointerX_svg - this.#margin.left;
             // Use deltaY to determine zoom direction
             const zoomDirection = wheelDeltaY < 0 ? independentZoomFactor : 1 / independentZoomFactor;
-            const xValue_plot = this.#referenceXScale.invert(pointerX_plot);
-            const [x0, x1] = this.#referenceXScale.domain();
+            const xValue_plot = +this.#referenceXScale.invert(pointerX_plot);
+            const [x0, x1] = getDomain(this.#referenceXScale);
             newXDomain = [
                 xValue_plot + (x0 - xValue_plot) / zoomDirection,
                 xValue_plot + (x1 - xValue_plot) / zoomDirection
@@ -355,10 +664,13 @@ class StreamingChart {
         }
         // --- Standard Zoom/Pan Logic ---
         else if (sourceEvent) {
-            newXDomain = transform.rescaleX(this.#initialXScale).domain();
-            newYDomain = transform.rescaleY(this.#initialYScale).domain();
+            newXDomain = getDomain(transform.rescaleX(this.#initialXScale));
+            newYDomain = getDomain(transform.rescaleY(this.#initialYScale));
             domainChangedX = true;
             domainChangedY = true;
+            secondaryDomainsChanged = this.#zoomSecondaryYAxes((axisId, entry) => getDomain(transform.rescaleY(entry.initialScale)));
+
+            isPan = transform.k === this.#lastZoomLevel; // Same scale factor: the view was dragged
 
             // Update internal state tracking based on the *event's* transform
             this.#currentZoomTransform = transform;
@@ -381,7 +693,8 @@ class StreamingChart {
 
 
         // --- NEW: Enforce Domain Width/Height Limits ---
-        const { minDomainWidth, maxDomainWidth } = this.#config.xAxis;
+        const minDomainWidth = parseDuration(this.#config.xAxis.minDomainWidth);
+        const maxDomainWidth = parseDuration(this.#config.xAxis.maxDomainWidth);
         const { minDomainHeight, maxDomainHeight } = this.#config.yAxis;
 
         if (domainChangedX) {
@@ -411,7 +724,7 @@ class StreamingChart {
         }
         // --- End NEW ---
 
-        const domainChanged = domainChangedX || domainChangedY;
+        const domainChanged = domainChangedX || domainChangedY || secondaryDomainsChanged;
 
         // --- NEW: Debug log after limits ---
         if (this.#config.debug && (domainChangedX || domainChangedY)) {
@@ -436,19 +749,7 @@ class StreamingChart {
             if (isAltZoom || isShiftZoom) {
                 // Handle Alt/Shift+Zoom specific state updates AFTER applying domain changes
                 // Update the initial scales to reflect this new base state
-                this.#initialXScale.domain(newXDomain);
-                this.#initialYScale.domain(newYDomain);
-
-                // Update our internal tracking to reflect the new base state immediately
-                this.#currentZoomTransform = this.#d3.zoomIdentity;
-                this.#lastZoomLevel = 1;
-
-                // ** Reset D3's internal transform state *immediately* **
-                if (this.#zoomBehavior && this.#svgElements.zoomOverlay) {
-                    this.#isProgrammaticZoom = true;
-                    this.#zoomBehavior.transform(this.#svgElements.zoomOverlay, this.#d3.zoomIdentity);
-                    this.#isProgrammaticZoom = false;
-                }
+                this.#rebaseZoomState(newXDomain, newYDomain);
             }
             // (If Standard Zoom, currentZoomTransform and lastZoomLevel were already updated above)
 
@@ -460,6 +761,7 @@ class StreamingChart {
 
             // Request redraw using the updated scales
             this.#redrawOnZoom();
+            this.#emitViewChange(isPan ? "pan" : "zoom");
 
         } else {
             // console.log("  No valid domain change detected in zoom event.");
@@ -470,6 +772,110 @@ class StreamingChart {
     }
     // --- End NEW Zoom Handler ---
 
+    // Applies `getNewDomain(axisId, entry, axisConfig)` to every additional Y axis,
+    // enforcing each axis' domain height limits. Returns whether any axis changed.
+    #zoomSecondaryYAxes(getNewDomain) {
+        let changed = false;
+        for (const [axisId, entry] of Object.entries(this.#secondaryYAxes)) {
+            const axisConfig = getYAxisConfig(this.#config, axisId);
+            const newDomain = getNewDomain(axisId, entry, axisConfig);
+            const newHeight = Math.abs(newDomain[1] - newDomain[0]);
+            if (newHeight < axisConfig.minDomainHeight || newHeight > axisConfig.maxDomainHeight) {
+                continue; // Keep the previous domain
+            }
+            this.#scales.yScales[axisId].domain(newDomain);
+            entry.referenceScale.domain(newDomain);
+            if (!this.#isFollowing) {
+                entry.frozenDomain = newDomain;
+            }
+            changed = true;
+        }
+        return changed;
+    }
+
+    // Wheel over a Y axis: zoom that axis around the pointer, leaving the others alone
+    #onYAxisWheel(axisId, event) {
+        if (this.#isDestroyed) return;
+        event.preventDefault();
+
+        // Wheel steps in quick succession make one history entry, like a D3 wheel gesture
+        if (this.#axisWheelTimer === null) this.#pendingHistoryView = this.getView();
+        clearTimeout(this.#axisWheelTimer);
+        this.#axisWheelTimer = setTimeout(() => {
+            this.#axisWheelTimer = null;
+            this.#endViewGesture();
+        }, 150);
+
+        if (this.#isFollowing) {
+            this.#isFollowing = false;
+            this.#frozenXDomain = getDomain(this.#scales.xScale);
+            this.#frozenYDomain = getDomain(this.#scales.yScale);
+            this.#freezeSecondaryYAxes();
+            this.#syncScalesAndZoomState(this.#frozenXDomain, this.#frozenYDomain);
+            updateFollowButtonAppearance(this.#followButtonGroup, this.#isFollowing);
+            this.#emit("followchange", { following: false, cause: "interaction" });
+        }
+
+        const independentZoomFactor = 1.5;
+        const zoomDirection = (event.deltaY || 0) < 0 ? independentZoomFactor : 1 / independentZoomFactor;
+        const pointerY_plot = this.#d3.pointer(event, this.#svgElements.mainGroup.node())[1];
+        const axisConfig = getYAxisConfig(this.#config, axisId);
+        const isPrimary = axisId === PRIMARY_Y_AXIS_ID;
+        const referenceScale = isPrimary ? this.#referenceYScale : this.#secondaryYAxes[axisId].referenceScale;
+
+        const newDomain = zoomDomain(getDomain(referenceScale), +referenceScale.invert(pointerY_plot), zoomDirection, axisConfig);
+        const newHeight = Math.abs(newDomain[1] - newDomain[0]);
+        if (newHeight < axisConfig.minDomainHeight || newHeight > axisConfig.maxDomainHeight) {
+            return;
+        }
+
+        if (isPrimary) {
+            this.#scales.yScale.domain(newDomain);
+            this.#referenceYScale.domain(newDomain);
+            this.#frozenYDomain = newDomain;
+        } else {
+            this.#scales.yScales[axisId].domain(newDomain);
+            this.#secondaryYAxes[axisId].referenceScale.domain(newDomain);
+            this.#secondaryYAxes[axisId].frozenDomain = newDomain;
+        }
+        this.#rebaseZoomState(getDomain(this.#scales.xScale), getDomain(this.#scales.yScale));
+        this.#redrawOnZoom();
+        this.#emitViewChange("zoom");
+    }
+
+    // Makes the current domains the new base of the D3 zoom (identity transform),
+    // as needed after any zoom that D3's transform does not know about.
+    #rebaseZoomState(xDomain, yDomain) {
+        this.#initialXScale.domain(xDomain);
+        this.#initialYScale.domain(yDomain);
+        for (const [axisId, entry] of Object.entries(this.#secondaryYAxes)) {
+            entry.initialScale.domain(getDomain(this.#scales.yScales[axisId]));
+        }
+
+        // Update our internal tracking to reflect the new base state immediately
+        this.#currentZoomTransform = this.#d3.zoomIdentity;
+        this.#lastZoomLevel = 1;
+
+        // ** Reset D3's internal transform state *immediately* **
+        if (this.#zoomBehavior && this.#svgElements.zoomOverlay) {
+            this.#isProgrammaticZoom = true;
+            this.#zoomBehavior.transform(this.#svgElements.zoomOverlay, this.#d3.zoomIdentity);
+            this.#isProgrammaticZoom = false;
+        }
+    }
+
+    #freezeSecondaryYAxes() {
+        for (const [axisId, entry] of Object.entries(this.#secondaryYAxes)) {
+            entry.frozenDomain = getDomain(this.#scales.yScales[axisId]);
+        }
+    }
+
+    #unfreezeSecondaryYAxes() {
+        for (const entry of Object.values(this.#secondaryYAxes)) {
+            entry.frozenDomain = null;
+        }
+    }
+
 
     #onResize() {
         if (this.#isDestroyed) return;
@@ -488,6 +894,11 @@ class StreamingChart {
            this.#initialYScale.range([newHeight, 0]);
            this.#referenceXScale.range([0, newWidth]);
            this.#referenceYScale.range([newHeight, 0]);
+           for (const [axisId, entry] of Object.entries(this.#secondaryYAxes)) {
+               this.#scales.yScales[axisId].range([newHeight, 0]);
+               entry.initialScale.range([newHeight, 0]);
+               entry.referenceScale.range([newHeight, 0]);
+           }
         };
         const updateZoomExts = (newWidth, newHeight) => {
             updateZoomExtents(this.#zoomBehavior, newWidth, newHeight);
@@ -523,6 +934,8 @@ class StreamingChart {
             updateOverlayPositions,
             redraw // Use full redraw
         );
+        this.#emit("resize", { width: this.#width, height: this.#height });
+        this.#emitViewChange("resize");
     }
 
     // --- Private Helper Methods ---
@@ -531,8 +944,9 @@ class StreamingChart {
     #redrawOnZoom() {
         // Only redraw axes, grid, and lines, which depend directly on scale domains/ranges
         updateAxes(this.#svgElements, this.#axesGenerators, this.#scales, this.#height);
+        this.#updateYAxes();
         updateGridLines(this.#d3, this.#svgElements, this.#scales, this.#config, this.#width, this.#height);
-        updateLines(this.#svgElements.linesGroup, this.#dataStore, this.#seriesConfigs, this.#lineGenerator);
+        this.#updateChartLines();
         // Legend doesn't usually need updating on zoom
     }
 
@@ -550,19 +964,28 @@ class StreamingChart {
         if (this.#isFollowing) {
             // --- Follow Mode ON ---
             // Calculate domains based on data, config, and *follow state*
-            updateScaleDomains(this.#d3, this.#config, this.#scales, this.#dataStore, this.#isFollowing); // Pass isFollowing
+            updateScaleDomains(this.#d3, this.#config, this.#scales, this.#dataStore, this.#isFollowing, this.#seriesConfigs); // Pass isFollowing
             // Ensure zoom transform is identity and initial/reference scales match
             if (this.#currentZoomTransform !== this.#d3.zoomIdentity) {
-                 this.#syncScalesAndZoomState(this.#scales.xScale.domain(), this.#scales.yScale.domain(), this.#d3.zoomIdentity);
+                 this.#syncScalesAndZoomState(getDomain(this.#scales.xScale), getDomain(this.#scales.yScale), this.#d3.zoomIdentity);
             } else {
                  // If transform is already identity, still ensure initial/ref scales match drawing scales
-                 this.#initialXScale.domain(this.#scales.xScale.domain());
-                 this.#initialYScale.domain(this.#scales.yScale.domain());
-                 this.#referenceXScale.domain(this.#scales.xScale.domain());
-                 this.#referenceYScale.domain(this.#scales.yScale.domain());
+                 this.#initialXScale.domain(getDomain(this.#scales.xScale));
+                 this.#initialYScale.domain(getDomain(this.#scales.yScale));
+                 this.#referenceXScale.domain(getDomain(this.#scales.xScale));
+                 this.#referenceYScale.domain(getDomain(this.#scales.yScale));
             }
             this.#frozenXDomain = null;
             this.#frozenYDomain = null;
+
+            // Each additional Y axis auto-scales on the visible data of its own series
+            for (const [axisId, entry] of Object.entries(this.#secondaryYAxes)) {
+                const domain = calculateYDomain(this.#d3, this.#config, this.#dataStore, getDomain(this.#scales.xScale), this.#seriesConfigs, axisId);
+                this.#scales.yScales[axisId].domain(domain);
+                entry.initialScale.domain(domain);
+                entry.referenceScale.domain(domain);
+                entry.frozenDomain = null;
+            }
         } else {
             // --- Follow Mode OFF (and not zooming/panning) ---
             // Scales should already be correctly set by the last zoom event or setView call.
@@ -576,24 +999,149 @@ class StreamingChart {
                 // This case shouldn't ideally happen if state management is correct,
                 // but as a fallback, sync to the current transform.
                 this.#syncScalesToCurrentTransform();
-                this.#frozenXDomain = this.#scales.xScale.domain();
-                this.#frozenYDomain = this.#scales.yScale.domain();
+                this.#frozenXDomain = getDomain(this.#scales.xScale);
+                this.#frozenYDomain = getDomain(this.#scales.yScale);
+            }
+            for (const [axisId, entry] of Object.entries(this.#secondaryYAxes)) {
+                if (entry.frozenDomain) {
+                    this.#scales.yScales[axisId].domain(entry.frozenDomain);
+                }
             }
         }
 
         // Update axes and grid based on the determined/existing #scales
         updateAxes(this.#svgElements, this.#axesGenerators, this.#scales, this.#height, animate, transition);
+        this.#updateYAxes(animate, transition);
         updateGridLines(this.#d3, this.#svgElements, this.#scales, this.#config, this.#width, this.#height);
     }
 
+    // Positions and redraws the additional Y axes, plus the wheel hit areas of all Y axes
+    #updateYAxes(animate = false, transition = null) {
+        const offsets = getSecondaryYAxisOffsets(this.#config, this.#width);
+        for (const [axisId, entry] of Object.entries(this.#secondaryYAxes)) {
+            if (!entry.axisGroup) continue;
+            const axisConfig = getYAxisConfig(this.#config, axisId);
+            entry.axisGroup.attr("transform", `translate(${offsets[axisId]},0)`);
+            const target = animate && transition ? entry.axisGroup.transition(transition) : entry.axisGroup;
+            target.call(entry.axisGenerator.scale(this.#scales.yScales[axisId]));
+            updateSecondaryYAxisLabel(entry.axisGroup, axisConfig.position, this.#height, axisConfig.label);
+            updateYAxisHitArea(entry.axisGroup, axisConfig.position, this.#height);
+        }
+        updateYAxisHitArea(this.#svgElements.yAxisGroup, "left", this.#height);
+        // Keep the primary label next to the primary axis when extra left axes widen the margin
+        this.#svgElements.mainGroup.select(".y-axis-label").attr("y", -this.#baseMargin.left + 15);
+    }
+
     #updateChartLines(animate = false, transition = null) {
         if (this.#isDestroyed || !this.#targetElement) return;
-        updateLines(this.#svgElements.linesGroup, this.#dataStore, this.#seriesConfigs, this.#lineGenerator, animate, transition);
+        // Decimate to what the current width and X domain can show
+        const renderData = getRenderData(this.#d3, this.#dataStore, this.#seriesConfigs, this.#config, this.#scales.xScale, this.#width);
+        if (this.#config.renderingHint === "performance") {
+            // Canvas backend: drop any SVG paths left over from the "quality" backend
+            this.#svgElements.linesGroup.selectAll(".series").remove();
+            if (!this.#canvasLayer) {
+                this.#canvasLayer = createCanvasLayer(this.#d3, this.#targetElement, this.#svgElements.svg);
+            }
+            const pixelRatio = updateCanvasLayer(this.#canvasLayer, this.#margin, this.#width, this.#height);
+            drawLinesCanvas(this.#canvasLayer, renderData, this.#seriesConfigs, this.#seriesGenerators, this.#scales, this.#width, this.#height, pixelRatio);
+        } else {
+            if (this.#canvasLayer) {
+                removeCanvasLayer(this.#canvasLayer, this.#svgElements.svg);
+                this.#canvasLayer = null;
+            }
+            updateLines(this.#d3, this.#svgElements.linesGroup, renderData, this.#seriesConfigs, this.#seriesGenerators, this.#scales, animate, transition);
+        }
+        this.#updateLegendValues(); // Latest values follow the lines
+        this.#updateTooltipDisplay(); // Keep the tooltip on the latest samples while streaming
+    }
+
+    #updateTooltipDisplay() {
+        if (!this.#tooltipLayer || !this.#config.interactions.tooltip) return;
+        // The local pointer wins over a crosshair driven by a linked chart
+        let pointer = this.#tooltipPointer;
+        if (!pointer && this.#linkedCursorX !== null) {
+            const linkedX = this.#scales.xScale(this.#linkedCursorX);
+            if (linkedX >= 0 && linkedX <= this.#width) {
+                pointer = [linkedX, this.#height / 2];
+            }
+        }
+        if (!pointer) {
+            hideTooltip(this.#tooltipLayer);
+            return;
+        }
+        const xValue = +this.#scales.xScale.invert(pointer[0]);
+        const points = findNearestPoints(this.#d3, this.#dataStore, this.#seriesConfigs, xValue);
+        const formatX = createXFormatter(this.#d3, this.#config.xAxis.type);
+        updateTooltip(this.#d3, this.#tooltipLayer, points, pointer, this.#scales, this.#width, this.#height, formatX);
     }
 
     #updateChartLegend() {
         if (this.#isDestroyed || !this.#targetElement) return;
-        updateLegend(this.#svgElements.legendGroup, this.#seriesConfigs, this.#config, this.#margin, this.#width, this.#height);
+        const itemHandlers = {
+            click: (seriesId, event) => {
+                this.#emit("legendclick", { seriesId, event });
+                if (this.#config.legend.interactive) {
+                    this.updateSeriesConfig(seriesId, { visible: this.#seriesConfigs[seriesId]?.visible === false });
+                }
+            }
+        };
+        if (this.#config.legend.interactive) {
+            itemHandlers.dblclick = (seriesId) => this.#isolateSeries(seriesId);
+            itemHandlers.mouseenter = (seriesId) => this.updateSeriesConfig(seriesId, { highlighted: true });
+            itemHandlers.mouseleave = (seriesId) => this.updateSeriesConfig(seriesId, { highlighted: false });
+        }
+        const legendSize = updateLegend(this.#svgElements.legendGroup, this.#seriesConfigs, this.#config, this.#margin, this.#width, this.#height, itemHandlers);
+        this.#updateLegendValues();
+
+        const legendSpace = getLegendSpace(this.#config, legendSize);
+        if (legendSpace.right !== this.#legendSpace.right || legendSpace.bottom !== this.#legendSpace.bottom) {
+            this.#legendSpace = legendSpace;
+            this.#updateMargin();
+            this.#onResize(); // Plot area shrinks or grows around the outside legend (redraws the legend)
+            return;
+        }
+        // Keep the X axis label above a bottom legend
+        this.#svgElements.mainGroup.select(".x-axis-label").attr("y", this.#height + this.#margin.bottom - this.#legendSpace.bottom - 5);
+    }
+
+    // Refreshes the legend value readout (`legend.showValues`) without relaying out the legend
+    #updateLegendValues() {
+        updateLegendValues(this.#d3, this.#svgElements.legendGroup, this.#dataStore, this.#seriesConfigs, this.#config, getDomain(this.#scales.xScale));
+    }
+
+    // Margin = base margin + room for additional Y axes + room for an outside legend
+    #updateMargin() {
+        Object.assign(this.#margin, this.#baseMargin, getYAxesMargins(this.#config, this.#baseMargin));
+        this.#margin.right += this.#legendSpace.right;
+        this.#margin.bottom += this.#legendSpace.bottom;
+    }
+
+    // Shows only the given series, or every series when it is already the only one shown
+    #isolateSeries(seriesId) {
+        if (!this.#seriesConfigs[seriesId]) return;
+        const otherIds = Object.keys(this.#seriesConfigs).filter((id) => id !== seriesId);
+        const isIsolated = this.#seriesConfigs[seriesId].visible !== false &&
+            otherIds.every((id) => this.#seriesConfigs[id].visible === false);
+        updateSeriesConfigInternal(seriesId, { visible: true }, this.#seriesConfigs);
+        otherIds.forEach((id) => updateSeriesConfigInternal(id, { visible: isIsolated }, this.#seriesConfigs));
+        if (this.#config.debug) {
+            console.log(isIsolated ? "Showing all series" : `Isolated series ${seriesId}`);
+        }
+        this.redraw(); // One redraw for all the visibility changes
+    }
+
+    #emit(eventName, payload) {
+        emitEvent(this.#listeners, eventName, payload);
+    }
+
+    // Emits `viewchange` when the visible domains differ from the last emitted ones
+    #emitViewChange(cause) {
+        if (this.#isDestroyed || !this.#listeners.viewchange) return;
+        const { following, ...domains } = this.getView();
+        const viewKey = JSON.stringify(domains);
+        if (viewKey === this.#lastEmittedView) return;
+        this.#lastEmittedView = viewKey;
+        this.#emit("viewchange", { ...domains, following, cause });
     }
 
     #onNewSeriesConfigCreated() {
@@ -617,6 +1165,13 @@ class StreamingChart {
          this.#referenceXScale.domain(targetXDomain);
          this.#referenceYScale.domain(targetYDomain);
 
+         // Additional Y axes keep their drawing domains as the new base
+         for (const [axisId, entry] of Object.entries(this.#secondaryYAxes)) {
+             const domain = getDomain(this.#scales.yScales[axisId]);
+             entry.initialScale.domain(domain);
+             entry.referenceScale.domain(domain);
+         }
+
          // Update D3 zoom state if a target transform is provided
          if (targetTransform && this.#zoomBehavior && this.#svgElements.zoomOverlay) {
              this.#currentZoomTransform = targetTransform;
@@ -629,6 +1184,24 @@ class StreamingChart {
          // this.#currentZoomTransform is correct (e.g., could be identity after alt/shift zoom).
      }
 
+     // Recreates the scales and axis generators after a scale type change (e.g. xAxis.type),
+     // keeping the current ranges and domains. Callers reset the zoom state afterwards.
+     #rebuildScales() {
+         const xDomain = getDomain(this.#scales.xScale);
+         const yDomain = getDomain(this.#scales.yScale);
+         const yScales = this.#scales.yScales;
+         this.#scales = initializeScales(this.#d3, this.#width, this.#height, this.#config);
+         this.#scales.yScales = yScales;
+         this.#scales.xScale.domain(xDomain);
+         this.#scales.yScale.domain(yDomain);
+         this.#initialXScale = this.#scales.xScale.copy();
+         this.#initialYScale = this.#scales.yScale.copy();
+         this.#referenceXScale = this.#scales.xScale.copy();
+         this.#referenceYScale = this.#scales.yScale.copy();
+         this.#axesGenerators = initializeAxes(this.#d3, this.#scales);
+         this.#setupSecondaryYAxes();
+     }
+
      // --- NEW Helper to sync scales based *only* on the current transform ---
      // Useful after resize or programmatic transform updates.
      #syncScalesToCurrentTransform() {
@@ -637,21 +1210,27 @@ class StreamingChart {
          this.#scales.xScale = this.#currentZoomTransform.rescaleX(this.#initialXScale);
          this.#scales.yScale = this.#currentZoomTransform.rescaleY(this.#initialYScale);
          // Reference scales should match drawing scales
-         this.#referenceXScale.domain(this.#scales.xScale.domain());
-         this.#referenceYScale.domain(this.#scales.yScale.domain());
+         this.#referenceXScale.domain(getDomain(this.#scales.xScale));
+         this.#referenceYScale.domain(getDomain(this.#scales.yScale));
+         for (const [axisId, entry] of Object.entries(this.#secondaryYAxes)) {
+             this.#scales.yScales[axisId] = this.#currentZoomTransform.rescaleY(entry.initialScale);
+             entry.referenceScale.domain(getDomain(this.#scales.yScales[axisId]));
+         }
      }
 
 
     // --- Public API Methods ---
 
-    addData(data) {
+    addData(input) {
         if (this.#isDestroyed) return;
+        const data = toSeriesColumns(input, this.#config.xKey); // Rows and shared-X input become columns per series
         let needsScaleUpdate = false;
         let latestX = -Infinity;
         let dataAdded = false;
+        const addedSeries = []; // Series receiving their first data, for `seriesadded`
 
         for (const seriesId in data) {
-            if (!data[seriesId] || !Array.isArray(data[seriesId].x) || !Array.isArray(data[seriesId].y)) {
+            if (!data[seriesId] || !isColumn(data[seriesId].x) || !isColumn(data[seriesId].y)) {
                 console.warn(`Invalid data format for series ${seriesId}`);
                 continue;
             }
@@ -660,67 +1239,210 @@ class StreamingChart {
                 continue;
             }
 
-            ensureSeriesExists(seriesId, this.#dataStore, this.#seriesConfigs, this.#colorScale, this.#onNewSeriesConfigCreated.bind(this));
-
-            const newPoints = data[seriesId].x.map((xVal, i) => ({ x: xVal, y: data[seriesId].y[i] }));
-
-            if (newPoints.length > 0) {
-                 this.#dataStore[seriesId].push(...newPoints);
-                 pruneData(seriesId, this.#dataStore, this.#config);
+            if (!this.#dataStore[seriesId]) {
+                addedSeries.push(seriesId);
+            }
+            ensureSeriesExists(seriesId, this.#dataStore, this.#seriesConfigs, this.#colorScale, this.#onNewSeriesConfigCreated.bind(this), this.#config);
+
+            const { x: xValues, y: yValues } = data[seriesId];
+            if (xValues.length > 0) {
+                 const buffer = this.#dataStore[seriesId];
+                 const outcomes = {}; // Count of each `addSample` result, for debug warnings
+                 for (let i = 0; i < xValues.length; i++) {
+                     // Dates are stored as epoch milliseconds so time and linear axes share one code path
+                     const outcome = addSample(buffer, toNumericX(xValues[i]), yValues[i], this.#seriesConfigs[seriesId]);
+                     outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+                 }
+                 if (this.#config.debug) {
+                     this.#warnSampleOutcomes(seriesId, outcomes);
+                 }
                  needsScaleUpdate = true; // Flag that scales *might* need update if following
-                 latestX = Math.max(latestX, newPoints[newPoints.length - 1].x);
+                 latestX = Math.max(latestX, buffer.x(buffer.length - 1));
                  dataAdded = true;
             }
         }
 
         if (!dataAdded) return;
 
-        if (this.#targetElement) {
-            // Only update scales/axes if following AND not currently zooming/panning
-            if (this.#isFollowing && !this.#isZoomingOrPanning) {
-                // This will recalculate domains based on new data and apply to #scales
-                // It also ensures initial/reference scales and zoom state are synced (to identity)
-                this.#updateScalesAndAxes();
-                this.#updateChartLines();    // Redraws lines based on new scales
-            } else {
-                // Follow is OFF or user is interacting: only redraw lines on existing scales
-                // Data is added, but the view remains frozen or controlled by user interaction.
-                this.#updateChartLines();
-            }
+        pruneAllData(this.#dataStore, this.#config, this.#seriesConfigs); // New data ages every series (`maxDataAge`)
+
+        for (const seriesId of addedSeries) {
+            this.#emit("seriesadded", { seriesId, config: { ...this.#seriesConfigs[seriesId] } });
         }
+        this.#scheduleDataRender();
+    }
+
+    // Reports samples that did not simply extend the series (see `addSample`)
+    #warnSampleOutcomes(seriesId, outcomes) {
+        const messages = {
+            late: "arrived out of order (appended)",
+            inserted: "arrived late (inserted in order)",
+            droppedLate: "arrived late (dropped)",
+            replaced: "had a duplicate X (replaced)",
+            droppedDuplicate: "had a duplicate X (dropped)"
+        };
+        const notes = Object.keys(messages)
+            .filter((outcome) => outcomes[outcome])
+            .map((outcome) => `${outcomes[outcome]} ${messages[outcome]}`);
+        if (notes.length > 0) {
+            console.warn(`Series ${seriesId}: samples ${notes.join(", ")}.`);
+        }
+    }
+
+    // Data is stored right away; drawing it waits for the next animation frame so that
+    // many addData calls per frame cost one redraw (`renderMode: "sync"` draws immediately).
+    #scheduleDataRender() {
+        if (!this.#targetElement) return;
+        if (this.#config.renderMode === "sync" || typeof requestAnimationFrame !== "function") {
+            this.#renderData();
+            return;
+        }
+        if (this.#pendingFrame === null) {
+            this.#pendingFrame = requestAnimationFrame(() => {
+                this.#pendingFrame = null;
+                this.#renderData();
+            });
+        }
+    }
+
+    #renderData() {
+        if (this.#isDestroyed) return;
+        // Only update scales/axes if following AND not currently zooming/panning
+        if (this.#isFollowing && !this.#isZoomingOrPanning) {
+            // This will recalculate domains based on new data and apply to #scales
+            // It also ensures initial/reference scales and zoom state are synced (to identity)
+            this.#updateScalesAndAxes();
+            this.#updateChartLines();    // Redraws lines based on new scales
+        } else {
+            // Follow is OFF or user is interacting: only redraw lines on existing scales
+            // Data is added, but the view remains frozen or controlled by user interaction.
+            this.#updateChartLines();
+        }
+        if (this.#isFollowing) {
+            this.#emitViewChange("data");
+        }
+    }
+
+    #cancelPendingFrame() {
+        if (this.#pendingFrame !== null) {
+            cancelAnimationFrame(this.#pendingFrame);
+            this.#pendingFrame = null;
+        }
+    }
+
+    /**
+     * Draws data added since the last frame right away instead of waiting for the
+     * scheduled animation frame. Does nothing when no redraw is pending.
+     */
+    flush() {
+        if (this.#isDestroyed || this.#pendingFrame === null) return;
+        this.#cancelPendingFrame();
+        this.#renderData();
+    }
+
+    /**
+     * Returns a standalone SVG document of the current view: axes, grid, series and
+     * legend with their styles inlined, without the follow button, tooltip and zoom overlay.
+     * Series drawn on the canvas (`renderingHint: "performance"`) are exported as SVG paths.
+     * @param {object} [options={}] - { background: CSS color, or null for transparent (default "white") }.
+     * @returns {string|null} - The SVG markup, or null in headless mode or after destroy.
+     */
+    exportSVG(options = {}) {
+        if (this.#isDestroyed || !this.#targetElement) return null;
+        this.flush(); // Include data still waiting for a frame
+        const svgNode = createExportSVG(this.#svgElements.svg.node(), options);
+        if (this.#canvasLayer) {
+            const renderData = getRenderData(this.#d3, this.#dataStore, this.#seriesConfigs, this.#config, this.#scales.xScale, this.#width);
+            updateLines(this.#d3, this.#d3.select(svgNode).select(".lines-group"), renderData, this.#seriesConfigs, this.#seriesGenerators, this.#scales);
+        }
+        return serializeSVG(svgNode);
+    }
+
+    /**
+     * Renders the current view (see `exportSVG`) to a PNG image.
+     * @param {object} [options={}] - { scale: output pixels per CSS pixel (default: devicePixelRatio or 1), background }.
+     * @returns {Promise<Blob|null>} - Resolves with the PNG Blob, or null in headless mode or after destroy.
+     */
+    exportPNG(options = {}) {
+        const svgString = this.exportSVG(options);
+        if (svgString === null) return Promise.resolve(null);
+        const scale = options.scale ?? ((typeof window !== "undefined" && window.devicePixelRatio) || 1);
+        const svgNode = this.#svgElements.svg.node();
+        return rasterizeSVG(svgString, +svgNode.getAttribute("width"), +svgNode.getAttribute("height"), scale);
+    }
+
+    /**
+     * Feeds the chart from a data source: a WebSocket, EventSource, ReadableStream or
+     * async iterable of NDJSON/CSV lines (or of parsed rows). Parsed rows are batched
+     * and passed to `addData` in row form (see the `xKey` config).
+     * The connection is closed by `destroy()`.
+     * @param {object} source - The data source.
+     * @param {object} [options={}] - { format, parse, batchInterval, maxBatchSize }.
+     * @returns {object|null} - { disconnect(), done } (see `connectSource`), or null after destroy.
+     */
+    connect(source, options = {}) {
+        if (this.#isDestroyed) return null;
+        const connection = connectSource(source, (rows) => this.addData(rows), options);
+        this.#connections.add(connection);
+        connection.done.then(() => this.#connections.delete(connection));
+        if (this.#config.debug) {
+            console.log("Connected data source:", source);
+        }
+        return connection;
     }
 
 
     setView(view, options = {}) {
         if (this.#isDestroyed || !this.#targetElement) return;
+        const before = this.getView();
+        this.#applyView(view, "setView");
+        if (options.history !== false) this.#recordView(before);
+    }
 
+    // Freezes the view on `view` (see `setView`); `cause` is reported by the followchange/viewchange events
+    #applyView(view, cause) {
         // --- Disable follow mode ---
         if (this.#isFollowing) {
             this.#isFollowing = false;
             updateFollowButtonAppearance(this.#followButtonGroup, this.#isFollowing);
             if (this.#config.debug) {
-                console.log("Follow mode turned OFF due to setView call.");
+                console.log(`Follow mode turned OFF due to ${cause}.`);
             }
+            this.#emit("followchange", { following: false, cause });
         }
         this.#isZoomingOrPanning = false; // Ensure interaction flag is off
 
-        const currentXDomain = this.#scales.xScale.domain();
-        const currentYDomain = this.#scales.yScale.domain();
+        const currentXDomain = getDomain(this.#scales.xScale);
+        const currentYDomain = getDomain(this.#scales.yScale);
 
-        const targetXMin = typeof view.xMin === "number" ? view.xMin : currentXDomain[0];
-        const targetXMax = typeof view.xMax === "number" ? view.xMax : currentXDomain[1];
+        const viewXMin = toNumericX(view.xMin); // Time axes also accept Dates
+        const viewXMax = toNumericX(view.xMax);
+        const targetXMin = typeof viewXMin === "number" ? viewXMin : currentXDomain[0];
+        const targetXMax = typeof viewXMax === "number" ? viewXMax : currentXDomain[1];
         const targetXDomain = [targetXMin, targetXMax];
 
         let targetYDomain;
         if (view.yMin === null || view.yMax === null) {
             // Auto-calculate Y based on the *target* X domain
-            targetYDomain = calculateYDomain(this.#d3, this.#config, this.#dataStore, targetXDomain);
+            targetYDomain = calculateYDomain(this.#d3, this.#config, this.#dataStore, targetXDomain, this.#seriesConfigs);
         } else {
             const targetYMin = typeof view.yMin === "number" ? view.yMin : currentYDomain[0];
             const targetYMax = typeof view.yMax === "number" ? view.yMax : currentYDomain[1];
             targetYDomain = [targetYMin, targetYMax];
         }
 
+        // Additional Y axes take `view.yAxes[axisId]`, or auto-scale over the target X domain
+        for (const [axisId, entry] of Object.entries(this.#secondaryYAxes)) {
+            const axisView = view.yAxes?.[axisId];
+            const currentDomain = getDomain(this.#scales.yScales[axisId]);
+            const domain = axisView && axisView.min !== null && axisView.max !== null
+                ? [typeof axisView.min === "number" ? axisView.min : currentDomain[0],
+                   typeof axisView.max === "number" ? axisView.max : currentDomain[1]]
+                : calculateYDomain(this.#d3, this.#config, this.#dataStore, targetXDomain, this.#seriesConfigs, axisId);
+            this.#scales.yScales[axisId].domain(domain);
+            entry.frozenDomain = domain;
+        }
+
         // Store as the new frozen state
         this.#frozenXDomain = targetXDomain;
         this.#frozenYDomain = targetYDomain;
@@ -731,6 +1453,7 @@ class StreamingChart {
         // Redraw everything based on the new scale domains
         // TODO: Add transition support if needed, similar to lib2.js reset/setDomain
         this.redraw();
+        this.#emitViewChange(cause);
     }
 
      // --- REMOVED #calculateReferenceScale ---
@@ -738,24 +1461,55 @@ class StreamingChart {
 
     resetView(options = {}) {
         if (this.#isDestroyed || !this.#targetElement) return;
+        const before = this.getView();
+        this.#resetView("resetView");
+        if (options.history !== false) this.#recordView(before);
+    }
 
+    /**
+     * Goes back to the view before the last zoom, pan, box zoom, `setView` or `resetView`.
+     * Views in follow mode are restored by turning follow mode back on.
+     * @returns {boolean} - Whether there was a view to go back to.
+     */
+    undoView() {
+        if (this.#isDestroyed || !this.#targetElement || this.#undoViews.length === 0) return false;
+        this.#redoViews.push(this.getView());
+        this.#restoreView(this.#undoViews.pop(), "undo");
+        return true;
+    }
+
+    /**
+     * Goes forward again to the view left by the last `undoView`. Any new view change clears the redo history.
+     * @returns {boolean} - Whether there was a view to go forward to.
+     */
+    redoView() {
+        if (this.#isDestroyed || !this.#targetElement || this.#redoViews.length === 0) return false;
+        pushView(this.#undoViews, this.getView(), this.#config.interactions.historySize);
+        this.#restoreView(this.#redoViews.pop(), "redo");
+        return true;
+    }
+
+    // Turns follow mode on and auto-ranges the view; `cause` is reported by the followchange/viewchange events
+    #resetView(cause) {
         // --- Enable follow mode on reset ---
         if (!this.#isFollowing) {
              this.#isFollowing = true;
              updateFollowButtonAppearance(this.#followButtonGroup, this.#isFollowing);
              if (this.#config.debug) {
-                 console.log("Follow mode turned ON due to resetView call.");
+                 console.log(`Follow mode turned ON due to ${cause}.`);
              }
+             this.#emit("followchange", { following: true, cause });
         }
         this.#frozenXDomain = null; // Reset clears any frozen state
         this.#frozenYDomain = null;
+        this.#unfreezeSecondaryYAxes(); // Additional Y axes auto-scale again on redraw
         this.#isZoomingOrPanning = false; // Ensure interaction flag is off
 
         // Calculate the 'natural' domains based on current data/config, considering follow state
         const tempScales = { xScale: this.#scales.xScale.copy(), yScale: this.#scales.yScale.copy() };
-        updateScaleDomains(this.#d3, this.#config, tempScales, this.#dataStore, this.#isFollowing); // Pass isFollowing
-        const targetXDomain = tempScales.xScale.domain();
-        const targetYDomain = tempScales.yScale.domain();
+        updateScaleDomains(this.#d3, this.#config, tempScales, this.#dataStore, this.#isFollowing, this.#seriesConfigs); // Pass isFollowing
+        const targetXDomain = getDomain(tempScales.xScale);
+        const targetYDomain = getDomain(tempScales.yScale);
 
         // Sync all scales to these domains and reset D3 zoom state to identity
         this.#syncScalesAndZoomState(targetXDomain, targetYDomain, this.#d3.zoomIdentity);
@@ -763,6 +1517,7 @@ class StreamingChart {
         // Redraw everything
         // TODO: Add transition support if needed
         this.redraw();
+        this.#emitViewChange(cause);
     }
 
     clearData() {
@@ -776,15 +1531,36 @@ class StreamingChart {
     updateSeriesConfig(seriesId, config) {
         if (this.#isDestroyed) return;
 
+        if (config.type !== undefined && !SERIES_TYPES.includes(config.type)) {
+            console.warn(`Unknown series type "${config.type}" for series ${seriesId}, drawing as "line".`);
+        }
+        if (config.ordering !== undefined && !SAMPLE_ORDERINGS.includes(config.ordering)) {
+            console.warn(`Unknown ordering "${config.ordering}" for series ${seriesId}, using "append".`);
+        }
+        if (config.duplicateX !== undefined && !DUPLICATE_X_POLICIES.includes(config.duplicateX)) {
+            console.warn(`Unknown duplicateX policy "${config.duplicateX}" for series ${seriesId}, using "keep".`);
+        }
+
+        config = normalizeSeriesDurations(seriesId, config, this.#seriesConfigs[seriesId]);
+        config = normalizeValueFormat(this.#d3, seriesId, config);
+
         if (config.color === undefined && this.#seriesConfigs[seriesId]?.color === null) {
              config.color = getColorForSeries(this.#colorScale, seriesId);
         }
 
         const updated = updateSeriesConfigInternal(seriesId, config, this.#seriesConfigs);
 
+        if (updated && 'maxDataAge' in config) {
+            pruneData(seriesId, this.#dataStore, this.#config, this.#seriesConfigs[seriesId]);
+        }
+
         if (updated && this.#targetElement) {
-            this.#updateChartLines();
-            this.#updateChartLegend();
+            if ('type' in config || 'visible' in config || 'maxDataAge' in config || 'baseline' in config || 'yAxisId' in config) {
+                this.redraw(); // Filled types keep their baseline in the Y auto-range; axis moves and hidden series change the ranges
+            } else {
+                this.#updateChartLines();
+                this.#updateChartLegend();
+            }
         }
     }
 
@@ -796,9 +1572,12 @@ class StreamingChart {
         const oldLegend = { ...oldConfig.legend };
         const oldXAxis = { ...oldConfig.xAxis };
         const oldYAxis = { ...oldConfig.yAxis };
+        const oldYAxes = JSON.stringify(oldConfig.yAxes);
 
         const { series, ...restConfig } = config; // Separate series config
         this.#config = deepMerge(this.#config, restConfig);
+        normalizeDurationOptions(this.#config, oldConfig); // Invalid durations keep their previous value
+        if (restConfig.yAxis || restConfig.yAxes) checkYAxisRanges(this.#config);
 
         // Apply series-specific updates if provided
         if (series && typeof series === 'object') {
@@ -808,6 +1587,13 @@ class StreamingChart {
         }
 
 
+        // Retention limits apply to the stored data, headless or not
+        const dataPruned = oldConfig.maxDataPointsPerSeries !== this.#config.maxDataPointsPerSeries ||
+            oldConfig.maxDataAge !== this.#config.maxDataAge;
+        if (dataPruned) {
+            pruneAllData(this.#dataStore, this.#config, this.#seriesConfigs);
+        }
+
         if (!this.#targetElement) return; // Nothing more to do in headless mode
 
         let needsFullRedraw = false;
@@ -822,6 +1608,34 @@ class StreamingChart {
             needsZoomReset = true; // Axis range changes require resetting the base zoom state
         }
 
+        // Scale type changes need new scale objects
+        if (oldXAxis.type !== this.#config.xAxis.type ||
+            oldYAxis.scale !== this.#config.yAxis.scale ||
+            oldYAxis.exponent !== this.#config.yAxis.exponent ||
+            oldYAxis.constant !== this.#config.yAxis.constant) {
+            this.#rebuildScales();
+            needsScaleUpdate = true;
+            needsZoomReset = true;
+        }
+
+        // Additional Y axes added, removed or reconfigured
+        if (oldYAxes !== JSON.stringify(this.#config.yAxes)) {
+            const oldMargin = { ...this.#margin };
+            this.#setupSecondaryYAxes();
+            this.#updateMargin();
+            if (oldMargin.left !== this.#margin.left || oldMargin.right !== this.#margin.right) {
+                this.#onResize(); // Plot area shrinks or grows to fit the axes
+            }
+            if (!this.#isFollowing) {
+                // New axes start auto-scaled over the frozen X domain
+                for (const [axisId, entry] of Object.entries(this.#secondaryYAxes)) {
+                    entry.frozenDomain ??= calculateYDomain(this.#d3, this.#config, this.#dataStore, getDomain(this.#scales.xScale), this.#seriesConfigs, axisId);
+                }
+            }
+            needsScaleUpdate = true;
+            needsZoomReset = true;
+        }
+
         // --- NEW: Check if maxTrackX changed ---
         if (oldXAxis.maxTrackX !== this.#config.xAxis.maxTrackX) {
             needsScaleUpdate = true; // Need to recalculate domains if following
@@ -849,10 +1663,16 @@ class StreamingChart {
             needsInteractionUpdate = true;
         }
 
-        if (oldConfig.maxDataPointsPerSeries !== this.#config.maxDataPointsPerSeries) {
-            for (const seriesId in this.#dataStore) {
-                pruneData(seriesId, this.#dataStore, this.#config);
-            }
+        if (oldConfig.renderingHint !== this.#config.renderingHint ||
+            oldConfig.downsampling !== this.#config.downsampling) {
+            this.#updateChartLines(); // Switch rendering backend / decimation
+        }
+
+        if (this.#config.renderMode === "sync") {
+            this.flush(); // Draw data still waiting for a frame
+        }
+
+        if (dataPruned) {
             needsScaleUpdate = true; // Data changed, scales might need update if following
         }
 
@@ -869,8 +1689,8 @@ class StreamingChart {
              // If axis ranges changed, reset the zoom state to identity, using the
              // domains determined by #updateScalesAndAxes above.
              this.#syncScalesAndZoomState(
-                 this.#scales.xScale.domain(),
-                 this.#scales.yScale.domain(),
+                 getDomain(this.#scales.xScale),
+                 getDomain(this.#scales.yScale),
                  this.#d3.zoomIdentity
              );
              needsFullRedraw = true; // Ensure redraw happens after reset
@@ -880,6 +1700,10 @@ class StreamingChart {
         if (needsInteractionUpdate && this.#targetElement) {
             // Re-setup interactions based on new config
             this.#setupInteractions();
+            this.#setupTooltip();
+            this.#setupBoxZoom();
+            this.#setupViewHistory();
+            this.#setupYAxisWheelZoom();
         }
 
         if (needsFullRedraw) {
@@ -889,15 +1713,17 @@ class StreamingChart {
              // If only minor things like grid lines or legend changed,
              // specific updates might have already happened.
              // We might still need to redraw lines if data pruning occurred without scale changes.
-             if (oldConfig.maxDataPointsPerSeries !== this.#config.maxDataPointsPerSeries) {
+             if (dataPruned) {
                  this.#updateChartLines();
              }
         }
+        this.#emitViewChange("config");
     }
 
 
     redraw() {
         if (this.#isDestroyed || !this.#targetElement) return;
+        this.#cancelPendingFrame(); // Pending data is drawn below
         // #updateScalesAndAxes handles scale domains based on follow state / frozen state
         this.#updateScalesAndAxes();
         // Redraw components based on the final state of #scales
@@ -906,9 +1732,151 @@ class StreamingChart {
         // Grid/Axes are updated within #updateScalesAndAxes
     }
 
+    /**
+     * Registers an event handler. See `CHART_EVENTS` in src/events.js for the events and their payloads.
+     * @param {string} eventName - e.g. "viewchange", "followchange", "seriesadded", "resize", "legendclick", "destroy".
+     * @param {function} handler - Called with the event payload.
+     * @returns {StreamingChart} - The chart, for chaining.
+     */
+    on(eventName, handler) {
+        if (this.#isDestroyed) return this;
+        addListener(this.#listeners, eventName, handler);
+        return this;
+    }
+
+    /**
+     * Removes an event handler, or all handlers of the event when `handler` is omitted.
+     * @param {string} eventName - The event name.
+     * @param {function} [handler] - The handler passed to `on`.
+     * @returns {StreamingChart} - The chart, for chaining.
+     */
+    off(eventName, handler) {
+        removeListener(this.#listeners, eventName, handler);
+        return this;
+    }
+
+    /**
+     * Returns a copy of a series' points, optionally limited to an X range.
+     * X values are numbers (epoch milliseconds on time axes).
+     * @param {string} seriesId - The series to read.
+     * @param {object} [range={}] - { xMin, xMax } inclusive bounds; Dates are accepted.
+     * @returns {Array<object>} - [{x, y}, ...], empty for unknown series.
+     */
+    getData(seriesId, range = {}) {
+        return getSeriesData(seriesId, this.#dataStore, { xMin: toNumericX(range.xMin), xMax: toNumericX(range.xMax) });
+    }
+
+    /**
+     * Dumps the buffered data, e.g. to hand a stream excerpt over or to replay it with `importData`.
+     * "csv" writes a wide table aligned on X (header: `xKey`, then the series ids);
+     * "json" writes `{ seriesId: { x: [...], y: [...] } }`, the column format of `addData`.
+     * @param {object} [options={}] - { format: "csv" | "json" (default "csv"), seriesIds (default: all
+     *   series with data), xMin, xMax (inclusive bounds; Dates are accepted) }.
+     * @returns {string|null} - The dump, or null for an unknown format or after destroy.
+     */
+    exportData(options = {}) {
+        if (this.#isDestroyed) return null;
+        const { format = "csv", seriesIds = Object.keys(this.#dataStore), xMin, xMax } = options;
+        if (!DATA_FORMATS.includes(format)) {
+            console.warn(`Unknown data format "${format}". Use "csv" or "json".`);
+            return null;
+        }
+        const range = { xMin: toNumericX(xMin), xMax: toNumericX(xMax) };
+        const seriesData = {};
+        seriesIds.forEach((seriesId) => {
+            seriesData[seriesId] = getSeriesData(seriesId, this.#dataStore, range);
+        });
+        return format === "json" ? toJSON(seriesData) : toCSV(seriesData, this.#config.xKey);
+    }
+
+    /**
+     * Loads a dump written by `exportData` through `addData`, so the samples are
+     * subject to the series' ordering and retention settings like live data.
+     * @param {string} text - The CSV or JSON dump.
+     * @param {object} [options={}] - { format: "csv" | "json" (default: detected from the text) }.
+     */
+    importData(text, options = {}) {
+        if (this.#isDestroyed) return;
+        const format = options.format ?? detectDataFormat(text);
+        if (!DATA_FORMATS.includes(format)) {
+            console.warn(`Unknown data format "${format}". Use "csv" or "json".`);
+            return;
+        }
+        let data;
+        try {
+            data = format === "json" ? JSON.parse(text) : parseCSV(text);
+        } catch (error) {
+            console.warn(`Could not parse the ${format} data to import:`, error);
+            return;
+        }
+        if (this.#config.debug) {
+            console.log(`Importing ${format} data for series:`, Object.keys(data));
+        }
+        this.addData(data);
+    }
+
+    /**
+     * Returns the ids of all configured series, including those without data yet.
+     * @returns {Array<string>} - The series ids.
+     */
+    getSeriesIds() {
+        return Object.keys(this.#seriesConfigs);
+    }
+
+    /**
+     * Returns a copy of a series' configuration.
+     * @param {string} seriesId - The series id.
+     * @returns {object|null} - The configuration, or null for unknown series.
+     */
+    getSeriesConfig(seriesId) {
+        const seriesConfig = this.#seriesConfigs[seriesId];
+        return seriesConfig ? { ...seriesConfig } : null;
+    }
+
+    /**
+     * Returns the visible domains and follow state.
+     * @returns {object|null} - { xDomain, yDomain, yAxes, following }, `yAxes` holding the additional
+     *   Y axis domains by id; null once destroyed.
+     */
+    getView() {
+        if (this.#isDestroyed) return null;
+        const yAxes = {};
+        for (const axisId in this.#secondaryYAxes) {
+            yAxes[axisId] = getDomain(this.#scales.yScales[axisId]);
+        }
+        return {
+            xDomain: getDomain(this.#scales.xScale),
+            yDomain: getDomain(this.#scales.yScale),
+            yAxes,
+            following: this.#isFollowing
+        };
+    }
+
+    /**
+     * @returns {boolean} - Whether "Follow" mode is on.
+     */
+    isFollowing() {
+        return this.#isFollowing;
+    }
+
+    /**
+     * Shows the crosshair and tooltip at an X value, as if the pointer hovered there.
+     * Used to mirror the cursor of linked charts; requires `interactions.tooltip`.
+     * @param {number|Date|null} x - The X value, or null to hide the crosshair.
+     */
+    setCrosshair(x) {
+        if (this.#isDestroyed || !this.#targetElement) return;
+        this.#linkedCursorX = x === null || x === undefined ? null : toNumericX(x);
+        this.#updateTooltipDisplay();
+    }
+
     destroy() {
         if (this.#isDestroyed) return;
         this.#isDestroyed = true;
+        const debug = this.#config.debug; // Read before the config is released below
+        this.#connections.forEach((connection) => connection.disconnect());
+        this.#connections.clear();
+        this.#cancelPendingFrame();
 
         // --- NEW: Cleanup Follow Button ---
         if (this.#followButtonGroup) {
@@ -919,13 +1887,17 @@ class StreamingChart {
         // --- End NEW ---
 
         if (this.#targetElement) {
+            removeCanvasLayer(this.#canvasLayer, null);
             cleanupDOM(this.#svgElements.svg, this.#resizeObserver);
+            this.#cancelBoxZoom();
+            this.#svgElements.zoomOverlay?.on(".tooltip", null).on(".boxzoom", null).on(".history", null);
             if (this.#zoomBehavior && this.#svgElements.zoomOverlay) {
                 this.#svgElements.zoomOverlay
                     .on(".zoom", null)
                     .style("cursor", "default");
             }
-            this.#zoomBehavior?.on("zoom", null).on("start.zoom", null).on("end.zoom", null); // Clear internal listeners just in case
+            this.#zoomBehavior?.on("zoom", null).on("start.zoom", null).on("end.zoom", null)
+                .on("start.history", null).on("end.history", null); // Clear internal listeners just in case
         }
 
         this.#frozenXDomain = null;
@@ -940,9 +1912,20 @@ class StreamingChart {
         this.#svgElements = {};
         this.#scales = { xScale: null, yScale: null };
         this.#axesGenerators = { xAxis: null, yAxis: null };
-        this.#lineGenerator = null;
+        this.#seriesGenerators = null;
         this.#zoomBehavior = null;
         this.#colorScale = null;
+        this.#tooltipLayer = null;
+        this.#tooltipPointer = null;
+        this.#linkedCursorX = null;
+        this.#boxZoomRect = null;
+        this.#boxZoomAxes = null;
+        clearTimeout(this.#axisWheelTimer);
+        this.#axisWheelTimer = null;
+        this.#undoViews = [];
+        this.#redoViews = [];
+        this.#pendingHistoryView = null;
+        this.#canvasLayer = null;
         this.#resizeObserver = null;
         this.#currentZoomTransform = null;
         clearTimeout(this._zoomEndTimer); // Clear zoom end timer
@@ -953,7 +1936,10 @@ class StreamingChart {
         this.#referenceXScale = null;
         this.#referenceYScale = null;
 
-        if (this.#config.debug) {
+        this.#emit("destroy", {});
+        this.#listeners = {};
+
+        if (debug) {
             console.log("StreamingChart destroyed.");
         }
     }
@@ -0,0 +1,138 @@
+/**
+ * Links StreamingChart instances that share an X axis (e.g. stacked dashboard panels).
+ */
+
+const DEFAULT_GROUP_OPTIONS = {
+    x: true, // Propagate X zoom/pan; linked charts auto-scale Y on the new X domain
+    follow: true, // Propagate "Follow" mode on/off
+    crosshair: false // Mirror the hover crosshair (charts need `interactions.tooltip`)
+};
+
+// View changes made by the user (or by setView) are propagated; data-driven follow
+// updates are not, since every chart follows its own stream.
+const PROPAGATED_VIEW_CAUSES = ["zoom", "pan", "boxZoom", "setView", "undo", "redo"];
+
+// Views applied on behalf of another chart stay out of the linked charts' undo history
+const LINKED_VIEW_OPTIONS = { history: false };
+
+/**
+ * Keeps the X domain, follow state and optionally the crosshair of several charts
+ * in sync. Changes are applied to the other charts through `setView`/`resetView`,
+ * and the changes those calls cause are not propagated again.
+ */
+class ChartGroup {
+    #charts = [];
+    #options;
+    #handlers = new Map(); // chart -> { eventName: handler }
+    #lastViews = new Map(); // chart -> last `viewchange` payload
+    #isSyncing = false; // Set while applying a change to the other charts
+
+    /**
+     * Creates a group linking the given charts.
+     * @param {Array<StreamingChart>} [charts=[]] - The charts to link.
+     * @param {object} [options={}] - { x, follow, crosshair } (see DEFAULT_GROUP_OPTIONS).
+     */
+    constructor(charts = [], options = {}) {
+        this.#options = { ...DEFAULT_GROUP_OPTIONS, ...options };
+        charts.forEach((chart) => this.add(chart));
+    }
+
+    /**
+     * Adds a chart to the group. It keeps its current view until another chart changes.
+     * @param {StreamingChart} chart - The chart to link.
+     * @returns {ChartGroup} - The group, for chaining.
+     */
+    add(chart) {
+        if (!chart || this.#charts.includes(chart)) return this;
+        const handlers = {
+            viewchange: (view) => this.#onViewChange(chart, view),
+            followchange: (change) => this.#onFollowChange(chart, change),
+            cursormove: ({ x }) => this.#onCursorMove(chart, x),
+            destroy: () => this.remove(chart)
+        };
+        for (const eventName in handlers) {
+            chart.on(eventName, handlers[eventName]);
+        }
+        this.#handlers.set(chart, handlers);
+        this.#charts.push(chart);
+        return this;
+    }
+
+    /**
+     * Removes a chart from the group. Destroyed charts are removed automatically.
+     * @param {StreamingChart} chart - The chart to unlink.
+     * @returns {ChartGroup} - The group, for chaining.
+     */
+    remove(chart) {
+        const handlers = this.#handlers.get(chart);
+        if (!handlers) return this;
+        for (const eventName in handlers) {
+            chart.off(eventName, handlers[eventName]);
+        }
+        this.#handlers.delete(chart);
+        this.#lastViews.delete(chart);
+        this.#charts = this.#charts.filter((c) => c !== chart);
+        return this;
+    }
+
+    /**
+     * Returns the linked charts.
+     * @returns {Array<StreamingChart>} - A copy of the chart list.
+     */
+    getCharts() {
+        return [...this.#charts];
+    }
+
+    /**
+     * Unlinks every chart. The charts themselves are left untouched.
+     */
+    destroy() {
+        [...this.#charts].forEach((chart) => this.remove(chart));
+    }
+
+    // Applies `apply(chart)` to every chart but the source, without propagating the result
+    #propagate(source, apply) {
+        if (this.#isSyncing) return;
+        this.#isSyncing = true;
+        try {
+            for (const chart of this.#charts) {
+                if (chart !== source) apply(chart);
+            }
+        } finally {
+            this.#isSyncing = false;
+        }
+    }
+
+    #onViewChange(source, view) {
+        const lastView = this.#lastViews.get(source);
+        this.#lastViews.set(source, view);
+        if (this.#isSyncing || !this.#options.x || !PROPAGATED_VIEW_CAUSES.includes(view.cause)) return;
+
+        // Going back to follow mode (undo/redo) reaches the other charts through `followchange`
+        if (view.following) return;
+
+        // Y-only zooms stay local to the chart
+        if (lastView && lastView.xDomain[0] === view.xDomain[0] && lastView.xDomain[1] === view.xDomain[1]) return;
+
+        const [xMin, xMax] = view.xDomain;
+        this.#propagate(source, (chart) => chart.setView({ xMin, xMax, yMin: null, yMax: null }, LINKED_VIEW_OPTIONS));
+    }
+
+    #onFollowChange(source, { following }) {
+        if (this.#isSyncing || !this.#options.follow) return;
+        if (following) {
+            this.#propagate(source, (chart) => chart.resetView(LINKED_VIEW_OPTIONS));
+            return;
+        }
+        // Freeze the other charts on the source's X domain; a zoom that follows is propagated by `viewchange`
+        const [xMin, xMax] = source.getView().xDomain;
+        this.#propagate(source, (chart) => chart.setView({ xMin, xMax, yMin: null, yMax: null }, LINKED_VIEW_OPTIONS));
+    }
+
+    #onCursorMove(source, x) {
+        if (!this.#options.crosshair) return;
+        this.#propagate(source, (chart) => chart.setCrosshair(x));
+    }
+}
+
+module.exports = { ChartGroup };
@@ -2,37 +2,89 @@
  * Default configuration and merging utilities for StreamingChart.
  */
 
+const { normalizeDuration } = require("./utils");
+
 const defaultConfig = {
   xAxis: {
+    type: "linear", // "linear", or "time"/"utc" for epoch-millisecond or Date X values
     range: { min: null, max: null },
     label: "",
     showGridLines: true,
-    maxTrackX: Infinity, // Max X-axis duration to show when following
+    maxTrackX: Infinity, // Max X-axis duration to show when following (number or e.g. "5m")
     minDomainWidth: 0.01, // Minimum allowed |xMax - xMin|
     maxDomainWidth: Infinity // Maximum allowed |xMax - xMin|
   },
   yAxis: {
+    scale: "linear", // "linear", "log", "symlog" or "pow"
+    exponent: 0.5, // Exponent for "pow" (0.5 = square root)
+    constant: 1, // Linear region around zero for "symlog"
     range: { min: null, max: null },
     label: "",
     showGridLines: true,
     minDomainHeight: 0.01, // Minimum allowed |yMax - yMin|
     maxDomainHeight: Infinity // Maximum allowed |yMax - yMin|
   },
+  yAxes: {}, // Additional Y axes by id, e.g. { pressure: { label: "kPa" } }; series pick one via `yAxisId`
   series: {},
+  xKey: "x", // Key of the X value when addData receives rows, e.g. [{ t: 1, temp: 20 }] with xKey "t"
   interactions: {
     zoom: true,
     pan: true,
-    tooltip: false // Tooltip not implemented
+    tooltip: false, // Crosshair + tooltip snapping to the nearest sample per series
+    boxZoom: false, // Drag a rectangle to zoom into: true/"xy", or "x"/"y" to zoom that axis only
+    boxZoomModifier: "shift", // Key held to drag a box instead of panning ("shift", "alt", "ctrl", "meta"); null = every drag
+    historySize: 50, // Views kept for undoView/redoView; 0 disables the history
+    doubleClick: "undo", // "undo" (previous view, or the auto-range view when there is none), "reset" or null
+    keyboard: true // Ctrl/Cmd+Z undoes a view change, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes it (chart focused)
   },
   legend: {
     visible: true,
-    position: "top-right"
+    position: "top-right", // Inside corners ("top-left", ...) or outside the plot: "right", "bottom"
+    columns: null, // Item columns; null = 1, or as many as fit for "bottom"
+    maxLabelWidth: 150, // Longer labels are truncated (full label on hover)
+    showValues: false, // true shows each series' latest value; or pick from ["last", "min", "max", "mean"]
+    maxHeight: null, // Items beyond it collapse into "+N more"; null = plot height (a quarter of the chart for "bottom")
+    interactive: true // Click toggles a series, double-click isolates it, hover highlights it
   },
-  renderingHint: "quality",
+  renderingHint: "quality", // "quality" (SVG paths) or "performance" (canvas)
+  renderMode: "frame", // "frame" coalesces addData redraws into one per animation frame, "sync" redraws on every call
+  downsampling: "none", // "none", "m4" or "lttb"; series can override with their own `downsampling`
   maxDataPointsPerSeries: 1000,
+  maxDataAge: Infinity, // Drop samples older than the latest X minus this (X units or e.g. "10m"); series can override
   debug: false // <-- Add debug flag
 };
 
+// Defaults for each entry of `yAxes` (the primary axis is `yAxis`, id "y")
+const secondaryYAxisDefaults = {
+  position: "right", // "right" or "left"
+  scale: "linear",
+  exponent: 0.5,
+  constant: 1,
+  range: { min: null, max: null },
+  label: "",
+  showGridLines: false, // Grid lines are drawn for the primary Y axis only
+  minDomainHeight: 0.01,
+  maxDomainHeight: Infinity
+};
+
+// Chart options that take a duration (see `parseDuration`), as [section, key] or [key]
+const DURATION_OPTIONS = [["xAxis", "maxTrackX"], ["xAxis", "minDomainWidth"], ["xAxis", "maxDomainWidth"], ["maxDataAge"]];
+
+/**
+ * Normalizes the duration options of a merged configuration in place (see `normalizeDuration`).
+ * Invalid values fall back to the ones of `fallbackConfig`.
+ * @param {object} config - The merged chart configuration.
+ * @param {object} [fallbackConfig=defaultConfig] - The configuration to take replacements from.
+ */
+function normalizeDurationOptions(config, fallbackConfig = defaultConfig) {
+  DURATION_OPTIONS.forEach((path) => {
+    const key = path[path.length - 1];
+    const target = path.length > 1 ? config[path[0]] : config;
+    const fallback = path.length > 1 ? fallbackConfig[path[0]]?.[key] : fallbackConfig[key];
+    if (target) target[key] = normalizeDuration(target[key], fallback, path.join("."));
+  });
+}
+
 function isObject(item) {
   return item && typeof item === "object" && !Array.isArray(item);
 }
@@ -57,6 +109,8 @@ function deepMerge(target, source) {
 
 module.exports = {
   defaultConfig,
+  secondaryYAxisDefaults,
   deepMerge,
+  normalizeDurationOptions,
   isObject // Exporting isObject in case it's needed elsewhere, though it's internal to deepMerge here
 };
\ No newline at end of file
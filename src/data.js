@@ -1,17 +1,21 @@
 /**
  * Data management for StreamingChart: data storage, series configurations, pruning.
  */
-const { getColorForSeries } = require('./utils');
+const { getColorForSeries, parseDuration, normalizeDuration } = require('./utils');
+const { RingBuffer } = require('./ringBuffer');
+const { DEFAULT_VALUE_FORMAT } = require('./tooltip');
 
 // Note: dataStore and seriesConfigs are typically instance members of the chart class.
 // These functions operate on those members passed in as arguments.
+// dataStore maps each seriesId to a RingBuffer holding its samples.
 
 /**
  * Initializes series configurations based on the initial chart config.
+ * @param {object} d3 - The D3 library object.
  * @param {object} chartConfig - The main chart configuration object.
  * @param {object} seriesConfigs - The seriesConfigs object to populate.
  */
-function initSeriesConfigs(chartConfig, seriesConfigs) {
+function initSeriesConfigs(d3, chartConfig, seriesConfigs) {
     if (chartConfig.series) {
         for (const seriesId in chartConfig.series) {
             seriesConfigs[seriesId] = {
@@ -19,13 +23,57 @@ function initSeriesConfigs(chartConfig, seriesConfigs) {
                 color: null, // Assigned later dynamically if needed
                 lineWidth: 1.5,
                 type: 'line',
-                markerSize: 3, // Currently unused for 'line' type
-                ...chartConfig.series[seriesId] // User overrides
+                markerSize: 3, // Marker radius for 'scatter' series
+                visible: true, // Hidden series are neither drawn nor auto-scaled
+                highlighted: false, // Highlighted series are emphasized and the others dimmed
+                ...normalizeValueFormat(d3, seriesId, normalizeSeriesDurations(seriesId, chartConfig.series[seriesId])) // User overrides
             };
         }
     }
 }
 
+// Series options that take a duration (see `parseDuration`)
+const SERIES_DURATION_OPTIONS = ['maxDataAge', 'gapThreshold'];
+
+/**
+ * Returns a copy of a (partial) series configuration with its duration options
+ * normalized (see `normalizeDuration`). Invalid values fall back to `previousConfig`'s.
+ * @param {string} seriesId - The series ID (for warnings).
+ * @param {object} seriesConfig - The series configuration given by the user.
+ * @param {object} [previousConfig] - The current configuration of the series, if any.
+ * @returns {object} The normalized copy.
+ */
+function normalizeSeriesDurations(seriesId, seriesConfig, previousConfig) {
+    const normalized = { ...seriesConfig };
+    SERIES_DURATION_OPTIONS
+        .filter((key) => key in normalized)
+        .forEach((key) => {
+            normalized[key] = normalizeDuration(normalized[key], previousConfig?.[key], `${key} of series ${seriesId}`);
+        });
+    return normalized;
+}
+
+/**
+ * Returns a copy of a (partial) series configuration whose `valueFormat`, if set,
+ * is a specifier d3-format accepts, so formatting values cannot throw while drawing.
+ * Invalid specifiers are replaced by `DEFAULT_VALUE_FORMAT` with a warning.
+ * @param {object} d3 - The D3 library object.
+ * @param {string} seriesId - The series ID (for warnings).
+ * @param {object} seriesConfig - The series configuration given by the user.
+ * @returns {object} The normalized copy.
+ */
+function normalizeValueFormat(d3, seriesId, seriesConfig) {
+    const normalized = { ...seriesConfig };
+    if (normalized.valueFormat == null) return normalized; // Unset: the default applies
+    try {
+        d3.format(normalized.valueFormat);
+    } catch {
+        console.warn(`Invalid valueFormat "${normalized.valueFormat}" for series ${seriesId}, using "${DEFAULT_VALUE_FORMAT}".`);
+        normalized.valueFormat = DEFAULT_VALUE_FORMAT;
+    }
+    return normalized;
+}
+
 /**
  * Gets a default configuration object for a new series.
  * @param {string} seriesId - The ID of the new series.
@@ -38,24 +86,169 @@ function getDefaultSeriesConfig(seriesId, colorScale) {
         color: getColorForSeries(colorScale, seriesId), // Assign color dynamically
         lineWidth: 1.5,
         type: 'line',
-        markerSize: 3
+        markerSize: 3,
+        visible: true,
+        highlighted: false
     };
 }
 
 /**
- * Prunes data for a specific series if it exceeds the configured maximum.
+ * Whether a value can serve as a data column: a plain array or a typed array.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isColumn(value) {
+    return Array.isArray(value) || (ArrayBuffer.isView(value) && !(value instanceof DataView));
+}
+
+/**
+ * Converts the input formats accepted by `addData` to columns per series,
+ * `{ seriesId: { x, y } }`, without creating an object per point. Accepted:
+ * - columns per series: `{ seriesId: { x: [...], y: [...] } }` (returned as is);
+ * - shared X: `{ x: [...], series: { seriesId: [...] } }`, all series reusing the X column;
+ * - rows: `[{ [xKey]: 1, a: 10, b: 20 }, ...]`, every other key of a row being a series.
+ * Columns may be plain or typed arrays.
+ * @param {object|Array<object>} data - The data passed to `addData`.
+ * @param {string} [xKey="x"] - The row key holding the X value.
+ * @returns {object} - The data as columns per series.
+ */
+function toSeriesColumns(data, xKey = "x") {
+    if (Array.isArray(data)) {
+        const columns = {};
+        let skipped = 0;
+        for (const row of data) {
+            if (!row || typeof row !== "object" || row[xKey] === undefined) {
+                skipped++;
+                continue;
+            }
+            for (const key in row) {
+                if (key === xKey) continue;
+                const column = columns[key] || (columns[key] = { x: [], y: [] });
+                column.x.push(row[xKey]);
+                column.y.push(row[key]);
+            }
+        }
+        if (skipped > 0) {
+            console.warn(`Skipped ${skipped} data row(s) without an X value ("${xKey}")`);
+        }
+        return columns;
+    }
+    if (data && isColumn(data.x) && data.series && typeof data.series === "object") {
+        const columns = {};
+        for (const seriesId in data.series) {
+            columns[seriesId] = { x: data.x, y: data.series[seriesId] };
+        }
+        return columns;
+    }
+    return data;
+}
+
+const SAMPLE_ORDERINGS = ["append", "sorted", "dropLate"];
+const DUPLICATE_X_POLICIES = ["keep", "replace", "drop"];
+
+/**
+ * Stores one sample in a series' buffer according to the series' policies:
+ * `ordering` for samples older than the newest one ("append" stores them as they
+ * come, "sorted" inserts them in X order, "dropLate" discards them) and
+ * `duplicateX` for samples whose X is already stored ("keep", "replace" the
+ * stored Y, or "drop" the new sample). Once a buffer holds unsorted samples,
+ * only the newest one is checked for a duplicate X.
+ * @param {RingBuffer} buffer - The series buffer.
+ * @param {number} x - The X value.
+ * @param {number|null} y - The Y value.
+ * @param {object} [seriesConfig] - The series configuration.
+ * @returns {string} - "appended", "inserted", "replaced", "late" (appended out of order),
+ *   "droppedLate" or "droppedDuplicate".
+ */
+function addSample(buffer, x, y, seriesConfig) {
+    const length = buffer.length;
+    const newestX = length > 0 ? buffer.x(length - 1) : -Infinity;
+
+    const duplicateX = seriesConfig?.duplicateX ?? "keep";
+    if (duplicateX !== "keep" && length > 0) {
+        let index = x === newestX ? length - 1 : -1;
+        if (index === -1 && buffer.isSorted && x < newestX) {
+            const candidate = buffer.bisectLeft(x);
+            if (buffer.x(candidate) === x) index = candidate;
+        }
+        if (index !== -1) {
+            if (duplicateX === "drop") return "droppedDuplicate";
+            if (duplicateX === "replace") {
+                buffer.setY(index, y);
+                return "replaced";
+            }
+        }
+    }
+
+    if (x >= newestX) {
+        buffer.push(x, y); // A full buffer evicts its oldest point
+        return "appended";
+    }
+    const ordering = seriesConfig?.ordering ?? "append";
+    if (ordering === "dropLate") return "droppedLate";
+    if (ordering === "sorted") {
+        return buffer.insert(x, y) ? "inserted" : "droppedLate"; // Older than everything a full buffer keeps
+    }
+    buffer.push(x, y);
+    return "late";
+}
+
+/**
+ * Returns the number of samples kept per series; `maxDataPointsPerSeries` of null or <= 0 means unlimited.
+ * @param {object} chartConfig - The main chart configuration object.
+ * @returns {number} - The series buffer capacity.
+ */
+function getSeriesCapacity(chartConfig) {
+    const maxPoints = chartConfig.maxDataPointsPerSeries;
+    return maxPoints !== null && maxPoints > 0 ? maxPoints : Infinity;
+}
+
+/**
+ * Returns the largest X value stored across all series.
+ * @param {object} dataStore - The main data store object.
+ * @returns {number} - The latest X, or -Infinity without data.
+ */
+function getLatestX(dataStore) {
+    let latestX = -Infinity;
+    for (const seriesId in dataStore) {
+        const extent = dataStore[seriesId].xExtent();
+        if (extent) latestX = Math.max(latestX, extent[1]);
+    }
+    return latestX;
+}
+
+/**
+ * Applies the retention limits to a series' buffer, dropping its oldest points if needed:
+ * the point cap (`maxDataPointsPerSeries`) and the age limit (`maxDataAge` of the series,
+ * else of the chart). Appending never needs the point cap: full buffers evict the
+ * oldest point themselves.
  * @param {string} seriesId - The ID of the series to prune.
  * @param {object} dataStore - The main data store object.
  * @param {object} chartConfig - The main chart configuration object.
+ * @param {object} [seriesConfig] - The series configuration (may override `maxDataAge`).
+ * @param {number} [latestX] - The X that ages are measured from (see `getLatestX`).
  */
-function pruneData(seriesId, dataStore, chartConfig) {
-    const maxPoints = chartConfig.maxDataPointsPerSeries;
-    if (maxPoints !== null && maxPoints > 0 && dataStore[seriesId]) {
-        const currentLength = dataStore[seriesId].length;
-        if (currentLength > maxPoints) {
-            // Remove oldest points from the beginning
-            dataStore[seriesId] = dataStore[seriesId].slice(currentLength - maxPoints);
-        }
+function pruneData(seriesId, dataStore, chartConfig, seriesConfig, latestX = getLatestX(dataStore)) {
+    const buffer = dataStore[seriesId];
+    if (!buffer) return;
+    buffer.setCapacity(getSeriesCapacity(chartConfig));
+
+    const maxDataAge = parseDuration(seriesConfig?.maxDataAge ?? chartConfig.maxDataAge); // May be given as e.g. "10m"
+    if (maxDataAge !== null && isFinite(maxDataAge) && isFinite(latestX)) {
+        buffer.dropBefore(latestX - maxDataAge);
+    }
+}
+
+/**
+ * Prunes every series (see `pruneData`), measuring ages from the latest X of all series.
+ * @param {object} dataStore - The main data store object.
+ * @param {object} chartConfig - The main chart configuration object.
+ * @param {object} seriesConfigs - The series configuration object.
+ */
+function pruneAllData(dataStore, chartConfig, seriesConfigs) {
+    const latestX = getLatestX(dataStore);
+    for (const seriesId in dataStore) {
+        pruneData(seriesId, dataStore, chartConfig, seriesConfigs[seriesId], latestX);
     }
 }
 
@@ -67,11 +260,12 @@ function pruneData(seriesId, dataStore, chartConfig) {
  * @param {object} seriesConfigs - The series configuration object.
  * @param {function} colorScale - The D3 color scale instance.
  * @param {function} onNewSeriesConfig - Callback function executed if a new config is created.
+ * @param {object} chartConfig - The main chart configuration object (sizes the series buffer).
  */
-function ensureSeriesExists(seriesId, dataStore, seriesConfigs, colorScale, onNewSeriesConfig) {
+function ensureSeriesExists(seriesId, dataStore, seriesConfigs, colorScale, onNewSeriesConfig, chartConfig) {
     let newConfigCreated = false;
     if (!dataStore[seriesId]) {
-        dataStore[seriesId] = [];
+        dataStore[seriesId] = new RingBuffer(getSeriesCapacity(chartConfig));
     }
     if (!seriesConfigs[seriesId]) {
         // Use defaults if not pre-configured
@@ -122,11 +316,103 @@ function assignInitialColors(seriesConfigs, colorScale) {
     }
 }
 
+/**
+ * Summarizes a series for the legend readout: its latest value, and the minimum,
+ * maximum and mean of the samples within an X window. Missing values are ignored.
+ * Only the requested statistics are computed. On a sorted series the window is
+ * found by binary search and min/max come from the min/max tree; the mean (or
+ * any window statistic of an unsorted series) costs one pass over the samples.
+ * @param {RingBuffer} buffer - The series samples.
+ * @param {Array<number>} xDomain - The [minX, maxX] window.
+ * @param {Array<string>} [stats=["last", "min", "max", "mean"]] - The statistics to compute.
+ * @returns {object} - { last, min, max, mean }; NaN where no value qualifies or not requested.
+ */
+function getSeriesStats(buffer, xDomain, stats = ["last", "min", "max", "mean"]) {
+    const result = { last: NaN, min: NaN, max: NaN, mean: NaN };
+    if (stats.includes("last")) {
+        for (let i = buffer.length - 1; i >= 0 && isNaN(result.last); i--) {
+            result.last = buffer.y(i);
+        }
+    }
+
+    const needsMean = stats.includes("mean");
+    const needsExtent = stats.includes("min") || stats.includes("max");
+    if (!needsMean && !needsExtent) return result;
+
+    let start = 0;
+    let end = buffer.length;
+    const isInWindow = buffer.isSorted
+        ? () => true
+        : (i) => buffer.x(i) >= xDomain[0] && buffer.x(i) <= xDomain[1];
+    if (buffer.isSorted) {
+        start = buffer.bisectLeft(xDomain[0]);
+        end = buffer.bisectRight(xDomain[1]);
+        const extent = needsExtent ? buffer.yExtent(start, end) : null;
+        if (extent) [result.min, result.max] = extent;
+        if (!needsMean) return result;
+    }
+
+    let sum = 0;
+    let count = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = start; i < end; i++) {
+        const y = buffer.y(i);
+        if (isNaN(y) || !isInWindow(i)) continue;
+        sum += y;
+        count++;
+        if (y < min) min = y;
+        if (y > max) max = y;
+    }
+    if (count > 0) {
+        if (needsMean) result.mean = sum / count;
+        if (!buffer.isSorted && needsExtent) {
+            result.min = min;
+            result.max = max;
+        }
+    }
+    return result;
+}
+
+/**
+ * Returns copies of a series' points, optionally limited to an X range.
+ * @param {string} seriesId - The identifier of the series.
+ * @param {object} dataStore - The main data store.
+ * @param {object} [range={}] - { xMin, xMax } inclusive bounds (numbers); missing bounds are open.
+ * @returns {Array<object>} - New point objects [{x, y}, ...]; empty for unknown series.
+ */
+function getSeriesData(seriesId, dataStore, range = {}) {
+    const buffer = dataStore[seriesId];
+    if (!buffer) return [];
+    const xMin = typeof range.xMin === "number" ? range.xMin : -Infinity;
+    const xMax = typeof range.xMax === "number" ? range.xMax : Infinity;
+    const points = [];
+    for (let i = 0; i < buffer.length; i++) {
+        const x = buffer.x(i);
+        if (x >= xMin && x <= xMax) {
+            points.push({ x, y: buffer.y(i) });
+        }
+    }
+    return points;
+}
+
 module.exports = {
     initSeriesConfigs,
+    normalizeSeriesDurations,
+    normalizeValueFormat,
     getDefaultSeriesConfig,
+    SAMPLE_ORDERINGS,
+    DUPLICATE_X_POLICIES,
+    addSample,
+    isColumn,
+    toSeriesColumns,
+    getSeriesCapacity,
+    getLatestX,
     pruneData,
+    pruneAllData,
     ensureSeriesExists,
     updateSeriesConfig,
-    assignInitialColors // <-- Add new export
+    assignInitialColors, // <-- Add new export
+    getSeriesStats,
+    getSeriesData
 };
\ No newline at end of file
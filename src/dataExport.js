@@ -0,0 +1,164 @@
+/**
+ * Data export/import for StreamingChart: CSV and JSON dumps of the buffered series.
+ */
+
+const DATA_FORMATS = ["csv", "json"];
+
+// Missing Y values are written as "NaN" in CSV, so empty fields can mean "no sample at this X"
+const CSV_MISSING_VALUE = "NaN";
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break.
+ * @param {string} field - The field text.
+ * @returns {string}
+ */
+function escapeCSVField(field) {
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * Splits CSV text into records of fields in one pass, so double-quoted fields
+ * may contain separators, quotes and line breaks. Blank lines are skipped.
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} - One array of fields per record.
+ */
+function splitCSVRecords(text) {
+    const records = [];
+    let fields = [];
+    let field = "";
+    let isQuoted = false;
+    const endRecord = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0].trim() !== "") records.push(fields);
+        fields = [];
+        field = "";
+    };
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (isQuoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                isQuoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            isQuoted = true;
+        } else if (char === ",") {
+            fields.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || fields.length > 0) endRecord();
+    return records;
+}
+
+/**
+ * Writes series points as a wide CSV: an X column, then one column per series.
+ * Rows are sorted by X and merge the samples of all series at the same X; a
+ * series without a sample at that X has an empty field. X values that repeat
+ * within a series produce as many rows.
+ * @param {object} seriesData - { seriesId: [{x, y}, ...] }.
+ * @param {string} [xKey="x"] - Header of the X column.
+ * @returns {string} - The CSV text, one header line and one line per row.
+ */
+function toCSV(seriesData, xKey = "x") {
+    const seriesIds = Object.keys(seriesData);
+    const samplesByX = new Map(); // x -> { seriesId: [y, ...] }
+    seriesIds.forEach((seriesId) => {
+        for (const { x, y } of seriesData[seriesId]) {
+            if (!samplesByX.has(x)) samplesByX.set(x, {});
+            const samples = samplesByX.get(x);
+            (samples[seriesId] || (samples[seriesId] = [])).push(y);
+        }
+    });
+
+    const lines = [[xKey, ...seriesIds].map(escapeCSVField).join(",")];
+    const xValues = [...samplesByX.keys()].sort((a, b) => a - b);
+    for (const x of xValues) {
+        const samples = samplesByX.get(x);
+        const rowCount = Math.max(...Object.values(samples).map((ys) => ys.length));
+        for (let row = 0; row < rowCount; row++) {
+            const fields = seriesIds.map((seriesId) => {
+                const y = samples[seriesId]?.[row];
+                if (y === undefined) return "";
+                return isNaN(y) ? CSV_MISSING_VALUE : String(y);
+            });
+            lines.push([String(x), ...fields].join(","));
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Reads a wide CSV (see `toCSV`) into `addData` columns. The first column is X
+ * whatever its header; empty fields add no sample, "NaN" or "null" add a missing one.
+ * @param {string} text - The CSV text.
+ * @returns {object} - { seriesId: { x: [...], y: [...] } }.
+ */
+function parseCSV(text) {
+    const records = splitCSVRecords(text);
+    if (records.length === 0) return {};
+    const seriesIds = records[0].slice(1).map((id) => id.trim());
+    const columns = {};
+    seriesIds.forEach((seriesId) => {
+        columns[seriesId] = { x: [], y: [] };
+    });
+    for (let i = 1; i < records.length; i++) {
+        const fields = records[i];
+        const x = Number(fields[0]);
+        if (fields[0].trim() === "" || isNaN(x)) {
+            console.warn(`Skipped CSV record ${i + 1} without a numeric X value`);
+            continue;
+        }
+        seriesIds.forEach((seriesId, column) => {
+            const field = (fields[column + 1] ?? "").trim();
+            if (field === "") return;
+            columns[seriesId].x.push(x);
+            columns[seriesId].y.push(field === "null" ? null : Number(field));
+        });
+    }
+    return columns;
+}
+
+/**
+ * Writes series points as JSON in the column format `addData` accepts:
+ * `{ seriesId: { x: [...], y: [...] } }`. Missing Y values become null.
+ * @param {object} seriesData - { seriesId: [{x, y}, ...] }.
+ * @returns {string} - The JSON text.
+ */
+function toJSON(seriesData) {
+    const columns = {};
+    for (const seriesId in seriesData) {
+        columns[seriesId] = {
+            x: seriesData[seriesId].map((point) => point.x),
+            y: seriesData[seriesId].map((point) => (isNaN(point.y) ? null : point.y))
+        };
+    }
+    return JSON.stringify(columns);
+}
+
+/**
+ * Returns the format of a data dump: "json" when it starts like a JSON object, else "csv".
+ * @param {string} text - The dump.
+ * @returns {string}
+ */
+function detectDataFormat(text) {
+    return /^\s*\{/.test(text) ? "json" : "csv";
+}
+
+module.exports = {
+    DATA_FORMATS,
+    toCSV,
+    parseCSV,
+    splitCSVRecords,
+    toJSON,
+    detectDataFormat
+};
@@ -31,10 +31,11 @@ function calculateDimensions(targetElement, margin) {
  * @param {number} svgHeight - The total SVG height (drawing area + margins).
  * @param {string} clipPathId - The unique ID for the clipping path.
  * @param {object} margin - The margin configuration object.
+ * @param {Array<string>} [secondaryYAxisIds=[]] - Ids of the additional Y axes (`yAxes` config).
  * @returns {object} - An object containing D3 selections for key SVG elements:
- *                     { svg, mainGroup, xAxisGroup, yAxisGroup, gridXGroup, gridYGroup, linesGroup, legendGroup, zoomOverlay }
+ *                     { svg, mainGroup, xAxisGroup, yAxisGroup, secondaryYAxisGroups, gridXGroup, gridYGroup, linesGroup, legendGroup, zoomOverlay }
  */
-function createSVGStructure(d3, targetElement, svgWidth, svgHeight, clipPathId, margin) {
+function createSVGStructure(d3, targetElement, svgWidth, svgHeight, clipPathId, margin, secondaryYAxisIds = []) {
     const svg = d3.select(targetElement)
         .append("svg")
         .attr("width", svgWidth)
@@ -64,6 +65,10 @@ function createSVGStructure(d3, targetElement, svgWidth, svgHeight, clipPathId,
     // Axes (on top of grid)
     const xAxisGroup = mainGroup.append("g").attr("class", "x-axis");
     const yAxisGroup = mainGroup.append("g").attr("class", "y-axis");
+    const secondaryYAxisGroups = {};
+    secondaryYAxisIds.forEach((axisId) => {
+        secondaryYAxisGroups[axisId] = createSecondaryYAxisGroup(mainGroup, axisId);
+    });
 
     // Legend Group (appended to SVG for positioning outside main group)
     const legendGroup = svg.append("g").attr("class", "legend");
@@ -74,7 +79,130 @@ function createSVGStructure(d3, targetElement, svgWidth, svgHeight, clipPathId,
         .style("fill", "none")
         .style("pointer-events", "all"); // Width/height set later
 
-    return { svg, mainGroup, xAxisGroup, yAxisGroup, gridXGroup, gridYGroup, linesGroup, legendGroup, zoomOverlay };
+    return { svg, mainGroup, xAxisGroup, yAxisGroup, secondaryYAxisGroups, gridXGroup, gridYGroup, linesGroup, legendGroup, zoomOverlay };
+}
+
+/**
+ * Creates the group for an additional Y axis, with its label.
+ * @param {object} mainGroup - The D3 selection of the main chart group.
+ * @param {string} axisId - The Y axis id.
+ * @returns {object} - D3 selection of the axis group.
+ */
+function createSecondaryYAxisGroup(mainGroup, axisId) {
+    // Keep axes below the zoom overlay and anything drawn after it
+    const insertBefore = mainGroup.select(".zoom-overlay").empty() ? null : ".zoom-overlay";
+    const axisGroup = mainGroup.insert("g", insertBefore)
+        .attr("class", "y-axis-secondary")
+        .attr("data-axis-id", axisId);
+    axisGroup.append("text")
+        .attr("class", "secondary-y-axis-label")
+        .attr("text-anchor", "middle");
+    return axisGroup;
+}
+
+/**
+ * Positions a secondary Y axis label outside its tick labels.
+ * @param {object} axisGroup - D3 selection of the axis group.
+ * @param {string} position - "left" or "right".
+ * @param {number} height - The chart drawing area height.
+ * @param {string} label - The label text.
+ */
+function updateSecondaryYAxisLabel(axisGroup, position, height, label) {
+    const isLeft = position === "left";
+    axisGroup.select(".secondary-y-axis-label")
+        .attr("transform", isLeft ? "rotate(-90)" : "rotate(90)")
+        .attr("x", isLeft ? -height / 2 : height / 2)
+        .attr("y", -38)
+        .text(label || "");
+}
+
+/**
+ * Adds (or resizes) a transparent hit area over a Y axis' tick labels, so the
+ * axis can receive wheel events for zooming that axis alone.
+ * @param {object} axisGroup - D3 selection of the axis group.
+ * @param {string} position - "left" or "right" (side the tick labels are on).
+ * @param {number} height - The chart drawing area height.
+ */
+function updateYAxisHitArea(axisGroup, position, height) {
+    let hitArea = axisGroup.select(".axis-hit-area");
+    if (hitArea.empty()) {
+        hitArea = axisGroup.insert("rect", ":first-child")
+            .attr("class", "axis-hit-area")
+            .style("fill", "none")
+            .style("pointer-events", "all")
+            .style("cursor", "ns-resize");
+    }
+    const hitWidth = 45;
+    hitArea
+        .attr("x", position === "left" ? -hitWidth : 0)
+        .attr("width", hitWidth)
+        .attr("height", height);
+}
+
+/**
+ * Creates a canvas for the "performance" rendering backend, stacked under the SVG.
+ * The canvas covers exactly the drawing area, so it doubles as the clip region,
+ * while the transparent SVG above it keeps axes, legend and the zoom overlay.
+ * @param {object} d3 - The D3 library object.
+ * @param {HTMLElement} targetElement - The container element.
+ * @param {object} svg - The D3 selection of the SVG element.
+ * @returns {object} - D3 selection of the canvas element.
+ */
+function createCanvasLayer(d3, targetElement, svg) {
+    // The canvas is absolutely positioned, so the container must be a positioning context
+    if (getComputedStyle(targetElement).position === "static") {
+        targetElement.style.position = "relative";
+    }
+    // Keep the SVG in the stacking order above the canvas
+    svg.style("position", "relative");
+
+    return d3.select(targetElement)
+        .insert("canvas", () => svg.node())
+        .attr("class", "lines-canvas")
+        .style("position", "absolute")
+        .style("pointer-events", "none");
+}
+
+/**
+ * Sizes and positions the canvas over the drawing area, accounting for device pixel ratio.
+ * Only touches the backing store when the size actually changes, since that clears it.
+ * @param {object} canvas - D3 selection of the canvas element.
+ * @param {object} margin - The margin configuration object.
+ * @param {number} width - The chart drawing area width.
+ * @param {number} height - The chart drawing area height.
+ * @returns {number} - The pixel ratio used for the backing store.
+ */
+function updateCanvasLayer(canvas, margin, width, height) {
+    const pixelRatio = (typeof window !== "undefined" && window.devicePixelRatio) || 1;
+    const node = canvas.node();
+    const backingWidth = Math.round(width * pixelRatio);
+    const backingHeight = Math.round(height * pixelRatio);
+
+    if (node.width !== backingWidth || node.height !== backingHeight) {
+        node.width = backingWidth;
+        node.height = backingHeight;
+    }
+    canvas
+        .style("left", `${margin.left}px`)
+        .style("top", `${margin.top}px`)
+        .style("width", `${width}px`)
+        .style("height", `${height}px`);
+
+    return pixelRatio;
+}
+
+/**
+ * Removes the canvas layer and restores the SVG's default positioning.
+ * @param {object} canvas - D3 selection of the canvas element.
+ * @param {object} svg - The D3 selection of the SVG element.
+ */
+function removeCanvasLayer(canvas, svg) {
+    if (canvas) {
+        canvas.remove();
+    }
+    if (svg) {
+        svg.style("position", null);
+    }
 }
 
 /**
@@ -330,4 +458,10 @@ module.exports = {
     createFollowButton,
     updateFollowButtonAppearance,
     updateFollowButtonPosition, // <-- Add new export
+    createCanvasLayer,
+    updateCanvasLayer,
+    removeCanvasLayer,
+    createSecondaryYAxisGroup,
+    updateSecondaryYAxisLabel,
+    updateYAxisHitArea
 };
\ No newline at end of file
@@ -0,0 +1,232 @@
+/**
+ * Point decimation for StreamingChart: reduces each series to what the plot width can show.
+ */
+const { getDomain, isPlottableValue, getYAxisConfig, getSeriesYAxisId } = require('./scalesAxes');
+const { parseDuration } = require('./utils');
+
+const isDefined = (y) => !isNaN(y);
+
+// Placed in the render indices where the series must be broken; renderers skip it
+const GAP_INDEX = -1;
+
+/**
+ * Returns the index range of the samples that can affect the visible X window,
+ * keeping one sample on each side so segments entering/leaving the plot are
+ * still drawn. X-sorted series use binary search; others (late samples appended
+ * with `ordering: "append"`) are scanned for the segments crossing the window.
+ * @param {RingBuffer} buffer - The series samples.
+ * @param {Array<number>} xDomain - The visible [minX, maxX] domain.
+ * @returns {Array<number>} - [start, end) logical indices.
+ */
+function getVisibleRange(buffer, xDomain) {
+    if (!buffer.isSorted) {
+        let start = -1;
+        let end = 0;
+        for (let i = 0; i < buffer.length; i++) {
+            const x = buffer.x(i);
+            const next = i + 1 < buffer.length ? buffer.x(i + 1) : x;
+            if (Math.min(x, next) <= xDomain[1] && Math.max(x, next) >= xDomain[0]) {
+                if (start === -1) start = i;
+                end = Math.min(buffer.length, i + 2);
+            }
+        }
+        return start === -1 ? [0, 0] : [start, end];
+    }
+    const start = Math.max(0, buffer.bisectLeft(xDomain[0]) - 1);
+    const end = Math.min(buffer.length, buffer.bisectRight(xDomain[1]) + 1);
+    return [start, end];
+}
+
+/**
+ * M4 aggregation: keeps the first, last, minimum and maximum sample of every pixel column.
+ * The result rasterizes identically to the full data at the given width,
+ * whether or not the samples are sorted by X.
+ * @param {RingBuffer} buffer - The series samples, in drawing order.
+ * @param {number} start - First logical index to consider.
+ * @param {number} end - Logical index after the last one.
+ * @param {function} xScale - The X scale mapping data to pixels.
+ * @param {function} [isDrawable] - Predicate on Y values; other samples are skipped (default: not NaN).
+ * @returns {Array<number>} - The kept sample indices, in order.
+ */
+function m4(buffer, start, end, xScale, isDrawable = isDefined) {
+    const result = [];
+    let column = null;
+    let first, last, min, max;
+
+    const flush = () => {
+        // Emit the (up to four) distinct samples of the column in their original order
+        const kept = [first, min, max, last]
+            .filter((index, i, arr) => arr.indexOf(index) === i)
+            .sort((a, b) => a - b);
+        kept.forEach((index) => result.push(index));
+    };
+
+    for (let i = start; i < end; i++) {
+        const y = buffer.y(i);
+        if (!isDrawable(y)) continue;
+        const pixel = Math.floor(xScale(buffer.x(i)));
+        if (pixel !== column) {
+            if (column !== null) flush();
+            column = pixel;
+            first = last = min = max = i;
+        } else {
+            last = i;
+            if (y < buffer.y(min)) min = i;
+            if (y > buffer.y(max)) max = i;
+        }
+    }
+    if (column !== null) flush();
+    return result;
+}
+
+/**
+ * Largest-Triangle-Three-Buckets downsampling to `threshold` samples.
+ * @param {RingBuffer} buffer - The series samples, in drawing order.
+ * @param {number} start - First logical index to consider.
+ * @param {number} end - Logical index after the last one.
+ * @param {number} threshold - Target number of samples (>= 3).
+ * @param {function} [isDrawable] - Predicate on Y values; other samples are skipped (default: not NaN).
+ * @returns {Array<number>} - The kept sample indices, in order.
+ */
+function lttb(buffer, start, end, threshold, isDrawable = isDefined) {
+    const data = [];
+    for (let i = start; i < end; i++) {
+        if (isDrawable(buffer.y(i))) data.push(i);
+    }
+    if (threshold >= data.length || threshold < 3) return data;
+
+    const x = (j) => buffer.x(data[j]);
+    const y = (j) => buffer.y(data[j]);
+    const sampled = [data[0]];
+    const bucketSize = (data.length - 2) / (threshold - 2);
+    let a = 0; // Position (in `data`) of the previously selected sample
+
+    for (let i = 0; i < threshold - 2; i++) {
+        // Average of the next bucket is the third vertex of the triangle
+        const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+        const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, data.length);
+        let avgX = 0;
+        let avgY = 0;
+        for (let j = nextStart; j < nextEnd; j++) {
+            avgX += x(j);
+            avgY += y(j);
+        }
+        const nextLength = nextEnd - nextStart || 1;
+        avgX /= nextLength;
+        avgY /= nextLength;
+
+        // Pick the sample of the current bucket forming the largest triangle
+        const bucketStart = Math.floor(i * bucketSize) + 1;
+        const bucketEnd = Math.floor((i + 1) * bucketSize) + 1;
+        let maxArea = -1;
+        let selected = bucketStart;
+        for (let j = bucketStart; j < bucketEnd; j++) {
+            const area = Math.abs(
+                (x(a) - avgX) * (y(j) - y(a)) -
+                (x(a) - x(j)) * (avgY - y(a))
+            );
+            if (area > maxArea) {
+                maxArea = area;
+                selected = j;
+            }
+        }
+        sampled.push(data[selected]);
+        a = selected;
+    }
+
+    sampled.push(data[data.length - 1]);
+    return sampled;
+}
+
+/**
+ * Inserts `GAP_INDEX` between consecutive kept samples that must not be joined:
+ * when a sample the axis cannot show (null/NaN, or non-positive on a log axis)
+ * lies between them, or when their X distance exceeds `gapThreshold`.
+ * @param {RingBuffer} buffer - The series samples.
+ * @param {Array<number>} indices - The kept sample indices, in order.
+ * @param {function} isDrawable - Predicate on Y values.
+ * @param {number} gapThreshold - Maximum X distance between joined samples.
+ * @returns {Array<number>} - The indices with gap markers.
+ */
+function insertGaps(buffer, indices, isDrawable, gapThreshold) {
+    const result = [];
+    for (let k = 0; k < indices.length; k++) {
+        const i = indices[k];
+        if (k > 0) {
+            const previous = indices[k - 1];
+            let isGap = Math.abs(buffer.x(i) - buffer.x(previous)) > gapThreshold;
+            for (let j = previous + 1; j < i && !isGap; j++) {
+                isGap = !isDrawable(buffer.y(j));
+            }
+            if (isGap) result.push(GAP_INDEX);
+        }
+        result.push(i);
+    }
+    return result;
+}
+
+/**
+ * Selects the samples to draw for every series, decimated according to the
+ * per-series `downsampling` option or the chart-wide default; hidden series
+ * (`visible: false`) are left out. Values the
+ * Y axis cannot show are dropped and, like jumps in X larger than the series'
+ * `gapThreshold`, break the series (see `insertGaps`).
+ * @param {object} d3 - The D3 library object.
+ * @param {object} dataStore - The main data store.
+ * @param {object} seriesConfigs - The series configuration object.
+ * @param {object} config - The chart configuration.
+ * @param {function} xScale - The current X scale.
+ * @param {number} width - The chart drawing area width in pixels.
+ * @returns {object} - { seriesId: { buffer, indices } } ready to be handed to the renderer,
+ *   `indices` listing the logical indices of the samples to draw, in order, with
+ *   `GAP_INDEX` where the series is broken.
+ */
+function getRenderData(d3, dataStore, seriesConfigs, config, xScale, width) {
+    const renderData = {};
+    for (const seriesId in dataStore) {
+        if (seriesConfigs[seriesId]?.visible === false) continue; // Hidden series are not drawn
+        const buffer = dataStore[seriesId];
+        const yAxisConfig = getYAxisConfig(config, getSeriesYAxisId(config, seriesConfigs[seriesId]));
+        const method = seriesConfigs[seriesId]?.downsampling ?? config.downsampling;
+        const gapThreshold = parseDuration(seriesConfigs[seriesId]?.gapThreshold) ?? Infinity; // May be given as e.g. "5m"
+        const isLog = yAxisConfig.scale === "log";
+        const isDrawable = isLog ? (y) => isPlottableValue(yAxisConfig, y) : isDefined; // Log axes drop non-positive values
+        const allIndices = () => {
+            const indices = [];
+            for (let i = 0; i < buffer.length; i++) {
+                if (isDrawable(buffer.y(i))) indices.push(i);
+            }
+            return indices;
+        };
+
+        // Only worth it when there are more points than pixels to show them on
+        if (!method || method === "none" || buffer.length <= 2 * width) {
+            renderData[seriesId] = { buffer, indices: insertGaps(buffer, allIndices(), isDrawable, gapThreshold) };
+            continue;
+        }
+
+        const [start, end] = getVisibleRange(buffer, getDomain(xScale));
+        let indices;
+        if (method === "m4") {
+            indices = m4(buffer, start, end, xScale, isDrawable);
+        } else if (method === "lttb") {
+            indices = lttb(buffer, start, end, Math.round(2 * width), isDrawable);
+        } else {
+            if (config.debug) {
+                console.warn(`Unknown downsampling method "${method}" for series ${seriesId}, drawing all points.`);
+            }
+            indices = allIndices();
+        }
+        renderData[seriesId] = { buffer, indices: insertGaps(buffer, indices, isDrawable, gapThreshold) };
+    }
+    return renderData;
+}
+
+module.exports = {
+    GAP_INDEX,
+    getVisibleRange,
+    m4,
+    lttb,
+    insertGaps,
+    getRenderData
+};
@@ -0,0 +1,77 @@
+/**
+ * Event listener registry for StreamingChart (`chart.on` / `chart.off`).
+ */
+
+// Events a chart emits, with their payloads:
+// - viewchange:  { xDomain, yDomain, yAxes, following, cause } after the visible domains change
+// - followchange: { following, cause } when follow mode is turned on or off
+// - seriesadded: { seriesId, config } when data arrives for a series the chart did not know
+// - resize:      { width, height } of the plot area after the container is resized
+// - legendclick: { seriesId, event } when a legend item is clicked
+// - cursormove:  { x } while the pointer hovers the plot with the tooltip enabled (x is null when it leaves)
+// - destroy:     {} once, when the chart is destroyed
+const CHART_EVENTS = ["viewchange", "followchange", "seriesadded", "resize", "legendclick", "cursormove", "destroy"];
+
+/**
+ * Registers a handler for an event.
+ * @param {object} listeners - The listener registry ({ eventName: [handler, ...] }).
+ * @param {string} eventName - One of `CHART_EVENTS`.
+ * @param {function} handler - Called with the event payload.
+ * @returns {boolean} - Whether the handler was registered.
+ */
+function addListener(listeners, eventName, handler) {
+    if (!CHART_EVENTS.includes(eventName)) {
+        console.warn(`Unknown chart event "${eventName}". Available events: ${CHART_EVENTS.join(", ")}.`);
+        return false;
+    }
+    if (typeof handler !== "function") {
+        console.warn(`Handler for chart event "${eventName}" must be a function.`);
+        return false;
+    }
+    if (!listeners[eventName]) {
+        listeners[eventName] = [];
+    }
+    listeners[eventName].push(handler);
+    return true;
+}
+
+/**
+ * Removes a handler, or every handler of the event when `handler` is omitted.
+ * @param {object} listeners - The listener registry.
+ * @param {string} eventName - The event name.
+ * @param {function} [handler] - The handler passed to `addListener`.
+ */
+function removeListener(listeners, eventName, handler) {
+    if (!listeners[eventName]) return;
+    if (handler === undefined) {
+        delete listeners[eventName];
+        return;
+    }
+    listeners[eventName] = listeners[eventName].filter((h) => h !== handler);
+}
+
+/**
+ * Calls every handler of an event with the payload. A throwing handler is
+ * reported and does not prevent the others from running.
+ * @param {object} listeners - The listener registry.
+ * @param {string} eventName - The event name.
+ * @param {object} payload - The event payload.
+ */
+function emitEvent(listeners, eventName, payload) {
+    const handlers = listeners[eventName];
+    if (!handlers || handlers.length === 0) return;
+    for (const handler of [...handlers]) { // Handlers may call `off` while we iterate
+        try {
+            handler(payload);
+        } catch (error) {
+            console.error(`Error in "${eventName}" handler:`, error);
+        }
+    }
+}
+
+module.exports = {
+    CHART_EVENTS,
+    addListener,
+    removeListener,
+    emitEvent
+};
@@ -0,0 +1,130 @@
+/**
+ * Image export for StreamingChart: standalone SVG and PNG snapshots of the current view.
+ */
+
+// Presentation properties copied from the computed style into the exported markup,
+// so the snapshot looks the same without the page's stylesheets
+const INLINED_STYLE_PROPERTIES = [
+    "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray",
+    "stroke-linecap", "stroke-linejoin", "opacity", "display", "visibility",
+    "font-family", "font-size", "font-weight", "text-anchor", "dominant-baseline", "shape-rendering"
+];
+
+// Properties that are not inherited, with their initial value
+const NON_INHERITED_DEFAULTS = { opacity: "1", display: "inline" };
+
+// Interactive parts of the chart left out of snapshots
+const EXCLUDED_SELECTORS = [".follow-button", ".zoom-overlay", ".tooltip-layer", ".axis-hit-area", ".box-zoom-selection"];
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+/**
+ * Copies the computed presentation style of every element of `source` onto the
+ * matching element of `target`, a deep clone of it. Values the element would get
+ * anyway (inherited from its parent, or initial values) are skipped to keep the markup small.
+ * @param {Element} source - The rendered element.
+ * @param {Element} target - Its clone.
+ */
+function inlineStyles(source, target) {
+    const view = source.ownerDocument?.defaultView;
+    if (!view || typeof view.getComputedStyle !== "function") return;
+    const sources = [source, ...source.querySelectorAll("*")];
+    const targets = [target, ...target.querySelectorAll("*")];
+    const styles = new Map(); // element -> { property: value }
+    sources.forEach((element, i) => {
+        const computed = view.getComputedStyle(element);
+        const style = {};
+        INLINED_STYLE_PROPERTIES.forEach((property) => {
+            style[property] = computed.getPropertyValue(property);
+        });
+        styles.set(element, style);
+        const parentStyle = element === source ? null : styles.get(element.parentElement);
+        const implied = (property) => property in NON_INHERITED_DEFAULTS
+            ? NON_INHERITED_DEFAULTS[property]
+            : parentStyle?.[property];
+        INLINED_STYLE_PROPERTIES
+            .filter((property) => style[property] && style[property] !== implied(property))
+            .filter((property) => !targets[i].style.getPropertyValue(property)) // Keep the element's own inline styles
+            .forEach((property) => targets[i].style.setProperty(property, style[property]));
+    });
+}
+
+/**
+ * Creates a standalone copy of the chart SVG: styles inlined, interactive
+ * elements removed, a viewBox and an optional background added.
+ * The copy is detached from the document.
+ * @param {SVGSVGElement} svgNode - The chart's SVG element (from `createSVGStructure`).
+ * @param {object} [options={}] - { background: CSS color or null for transparent (default "white") }.
+ * @returns {SVGSVGElement} - The copy.
+ */
+function createExportSVG(svgNode, options = {}) {
+    const { background = "white" } = options;
+    const clone = svgNode.cloneNode(true);
+    inlineStyles(svgNode, clone);
+    EXCLUDED_SELECTORS.forEach((selector) => {
+        clone.querySelectorAll(selector).forEach((element) => element.remove());
+    });
+
+    const width = svgNode.getAttribute("width");
+    const height = svgNode.getAttribute("height");
+    clone.setAttribute("viewBox", `0 0 ${width} ${height}`);
+
+    if (background) {
+        const rect = clone.ownerDocument.createElementNS(SVG_NAMESPACE, "rect");
+        rect.setAttribute("class", "export-background");
+        rect.setAttribute("width", width);
+        rect.setAttribute("height", height);
+        rect.setAttribute("fill", background);
+        clone.insertBefore(rect, clone.querySelector("defs")?.nextSibling ?? clone.firstChild);
+    }
+    return clone;
+}
+
+/**
+ * Serializes an SVG element into a standalone SVG document string.
+ * @param {SVGSVGElement} svgNode - The element to serialize (see `createExportSVG`).
+ * @returns {string} - The SVG markup, with an XML declaration.
+ */
+function serializeSVG(svgNode) {
+    const view = svgNode.ownerDocument.defaultView;
+    const markup = new view.XMLSerializer().serializeToString(svgNode);
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${markup}`;
+}
+
+/**
+ * Rasterizes SVG markup into a PNG Blob through an image and a canvas.
+ * @param {string} svgString - Standalone SVG markup.
+ * @param {number} width - Width of the SVG in CSS pixels.
+ * @param {number} height - Height of the SVG in CSS pixels.
+ * @param {number} [scale=1] - Output pixels per CSS pixel (e.g. 2 for high-DPI reports).
+ * @returns {Promise<Blob>} - Resolves with the PNG image.
+ */
+function rasterizeSVG(svgString, width, height, scale = 1) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement("canvas");
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            const context = canvas.getContext("2d");
+            if (!context) {
+                reject(new Error("Canvas 2D context unavailable, cannot export PNG."));
+                return;
+            }
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            canvas.toBlob((blob) => {
+                if (blob) resolve(blob);
+                else reject(new Error("PNG encoding failed."));
+            }, "image/png");
+        };
+        image.onerror = () => reject(new Error("Could not load the chart SVG for PNG export."));
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgString)}`;
+    });
+}
+
+module.exports = {
+    createExportSVG,
+    serializeSVG,
+    rasterizeSVG
+};
@@ -0,0 +1,74 @@
+/**
+ * Segment tree answering min/max range queries over a fixed number of slots.
+ */
+
+/**
+ * Keeps, for every node, the minimum, maximum and minimum positive value of its
+ * slots (the latter serves log axes). Updates and range queries are O(log n).
+ * NaN values are ignored by the queries.
+ */
+class MinMaxTree {
+    #size;
+    #min;
+    #max;
+    #minPositive;
+
+    /**
+     * @param {number} size - Number of slots; all start empty.
+     */
+    constructor(size) {
+        this.#size = size;
+        this.#min = new Float64Array(2 * size).fill(Infinity);
+        this.#max = new Float64Array(2 * size).fill(-Infinity);
+        this.#minPositive = new Float64Array(2 * size).fill(Infinity);
+    }
+
+    /**
+     * Sets the value of a slot.
+     * @param {number} slot - Slot index in [0, size).
+     * @param {number} value - The value (NaN empties the slot).
+     */
+    set(slot, value) {
+        let node = slot + this.#size;
+        const defined = !isNaN(value);
+        this.#min[node] = defined ? value : Infinity;
+        this.#max[node] = defined ? value : -Infinity;
+        this.#minPositive[node] = defined && value > 0 ? value : Infinity;
+        for (node >>= 1; node >= 1; node >>= 1) {
+            const left = 2 * node;
+            const right = left + 1;
+            this.#min[node] = Math.min(this.#min[left], this.#min[right]);
+            this.#max[node] = Math.max(this.#max[left], this.#max[right]);
+            this.#minPositive[node] = Math.min(this.#minPositive[left], this.#minPositive[right]);
+        }
+    }
+
+    /**
+     * Aggregates the slots in [start, end).
+     * @param {number} start - First slot.
+     * @param {number} end - Slot after the last one.
+     * @returns {object} - { min, max, minPositive }; Infinity/-Infinity when no value is defined.
+     */
+    query(start, end) {
+        let min = Infinity;
+        let max = -Infinity;
+        let minPositive = Infinity;
+        for (let lo = start + this.#size, hi = end + this.#size; lo < hi; lo >>= 1, hi >>= 1) {
+            if (lo & 1) {
+                min = Math.min(min, this.#min[lo]);
+                max = Math.max(max, this.#max[lo]);
+                minPositive = Math.min(minPositive, this.#minPositive[lo]);
+                lo++;
+            }
+            if (hi & 1) {
+                hi--;
+                min = Math.min(min, this.#min[hi]);
+                max = Math.max(max, this.#max[hi]);
+                minPositive = Math.min(minPositive, this.#minPositive[hi]);
+            }
+        }
+        return { min, max, minPositive };
+    }
+}
+
+module.exports = { MinMaxTree };
@@ -1,18 +1,162 @@
 /**
- * SVG Rendering functions for StreamingChart (lines, grid, legend).
+ * Rendering functions for StreamingChart (series shapes on SVG or canvas, grid, legend).
  */
+const { getSeriesYScale } = require('./scalesAxes');
+const { GAP_INDEX } = require('./downsampling');
+const { getSeriesStats } = require('./data');
+const { DEFAULT_VALUE_FORMAT } = require('./tooltip');
+
+const isSample = (i) => i !== GAP_INDEX; // Render indices may contain gap markers (see `getRenderData`)
+
+const SERIES_TYPES = ["line", "scatter", "step", "area", "bar"];
+
+const DIMMED_OPACITY = 0.2; // Series other than the highlighted ones
+const HIGHLIGHT_EXTRA_WIDTH = 1; // Added to the line width of highlighted series
+const HIDDEN_LEGEND_OPACITY = 0.4; // Legend items of hidden series
+
+// Legend layout, in pixels
+const LEGEND_ITEM_HEIGHT = 20;
+const LEGEND_ITEM_PADDING = 5; // Between symbol and label
+const LEGEND_SYMBOL_SIZE = 10;
+const LEGEND_COLUMN_GAP = 15;
+const LEGEND_PADDING = 10; // Between the legend and the plot or SVG edges
+const LEGEND_VALUE_GAP = 8; // Between the labels and the value readout
+const LEGEND_VALUE_WIDTH = 55; // Room reserved per value, so streaming values do not move the layout
+const LEGEND_STATS = ["last", "min", "max", "mean"];
 
 /**
- * Initializes the D3 line generator.
+ * Initializes the D3 shape generators shared by all series types.
+ * Accessors are bound to the series' scales when drawing (see `drawSeriesShape`).
  * @param {object} d3 - The D3 library object.
- * @param {object} scales - Object containing xScale and yScale.
- * @returns {object} - The configured D3 line generator.
+ * @returns {object} - { line, step, area } D3 shape generators.
+ */
+function initializeSeriesGenerators(d3) {
+    return {
+        line: d3.line().defined(isSample), // Gap markers break the line
+        step: d3.line().defined(isSample).curve(d3.curveStepAfter), // Holds each value until the next sample (digital/state signals)
+        area: d3.area().defined(isSample)
+    };
+}
+
+/**
+ * Returns the bar width in pixels: 80% of the smallest spacing between consecutive samples.
+ * @param {object} series - The samples to draw: { buffer, indices } (see `getRenderData`).
+ * @param {function} xScale - The X scale.
+ * @returns {number} - Bar width in pixels (at least 1).
+ */
+function getBarWidth(series, xScale) {
+    const { buffer, indices } = series;
+    let minSpacing = Infinity;
+    for (let i = 1; i < indices.length; i++) {
+        if (!isSample(indices[i]) || !isSample(indices[i - 1])) continue;
+        const spacing = Math.abs(xScale(buffer.x(indices[i])) - xScale(buffer.x(indices[i - 1])));
+        if (spacing > 0 && spacing < minSpacing) minSpacing = spacing;
+    }
+    return isFinite(minSpacing) ? Math.max(1, minSpacing * 0.8) : 10;
+}
+
+/**
+ * Returns the pixel position of a fill baseline, falling back to the bottom of
+ * the plot when the scale cannot show it (e.g. a baseline of 0 on a log axis).
+ * @param {function} yScale - The Y scale.
+ * @param {number} baseline - The baseline value.
+ * @returns {number} - Baseline position in pixels.
+ */
+function getBaselinePixel(yScale, baseline) {
+    const y = yScale(baseline);
+    return isFinite(y) ? y : yScale.range()[0];
+}
+
+/**
+ * Draws the outline of a series into a path context according to its `type`:
+ * the line for "line"/"step"/"area", markers for "scatter", rectangles for "bar".
+ * Works with both `d3.path()` (SVG backend) and a canvas 2D context.
+ * @param {object} context - A d3.path() or CanvasRenderingContext2D.
+ * @param {object} generators - Generators returned by `initializeSeriesGenerators`.
+ * @param {object} series - The samples to draw: { buffer, indices } (see `getRenderData`).
+ * @param {object} seriesConfig - The series configuration.
+ * @param {object} scales - Object containing the xScale and yScale of the series.
+ */
+function drawSeriesShape(context, generators, series, seriesConfig, scales) {
+    const { xScale, yScale } = scales;
+    const { buffer, indices } = series;
+    const type = seriesConfig?.type || "line";
+
+    if (type === "scatter") {
+        const radius = seriesConfig.markerSize ?? 3;
+        for (const i of indices) {
+            if (!isSample(i)) continue;
+            const x = xScale(buffer.x(i));
+            const y = yScale(buffer.y(i));
+            context.moveTo(x + radius, y);
+            context.arc(x, y, radius, 0, 2 * Math.PI);
+        }
+    } else if (type === "bar") {
+        const baseline = getBaselinePixel(yScale, seriesConfig.baseline ?? 0);
+        const barWidth = getBarWidth(series, xScale);
+        for (const i of indices) {
+            if (!isSample(i)) continue;
+            const y = yScale(buffer.y(i));
+            context.rect(xScale(buffer.x(i)) - barWidth / 2, Math.min(y, baseline), barWidth, Math.abs(baseline - y));
+        }
+    } else {
+        // Generators iterate over sample indices and read the values from the buffer
+        const generator = type === "step" ? generators.step : generators.line;
+        generator
+            .x((i) => xScale(buffer.x(i)))
+            .y((i) => yScale(buffer.y(i)))
+            .context(context)(indices);
+        generator.context(null);
+    }
+}
+
+/**
+ * Draws the filled region of an "area" series, down (or up) to its `baseline` (default 0).
+ * @param {object} context - A d3.path() or CanvasRenderingContext2D.
+ * @param {object} generators - Generators returned by `initializeSeriesGenerators`.
+ * @param {object} series - The samples to draw: { buffer, indices } (see `getRenderData`).
+ * @param {object} seriesConfig - The series configuration.
+ * @param {object} scales - Object containing the xScale and yScale of the series.
+ */
+function drawSeriesArea(context, generators, series, seriesConfig, scales) {
+    const { xScale, yScale } = scales;
+    const { buffer, indices } = series;
+    const baseline = getBaselinePixel(yScale, seriesConfig.baseline ?? 0);
+    generators.area
+        .x((i) => xScale(buffer.x(i)))
+        .y0(baseline)
+        .y1((i) => yScale(buffer.y(i)))
+        .context(context)(indices);
+    generators.area.context(null);
+}
+
+/**
+ * Whether a series is dimmed: some other visible series is highlighted and it is not.
+ * @param {object} seriesConfigs - The series configuration object.
+ * @param {string} seriesId - The series to check.
+ * @returns {boolean}
+ */
+function isSeriesDimmed(seriesConfigs, seriesId) {
+    if (seriesConfigs[seriesId]?.highlighted) return false;
+    return Object.values(seriesConfigs).some((config) => config.highlighted && config.visible !== false);
+}
+
+/**
+ * Returns the stroke width of a series, widened while it is highlighted.
+ * @param {object} seriesConfig - The series configuration.
+ * @returns {number} - Width in pixels.
  */
-function initializeLineGenerator(d3, scales) {
-    return d3.line()
-        // .defined(d => d !== null && d.y !== null && !isNaN(d.y)) // Optional: handle gaps explicitly
-        .x((d) => scales.xScale(d.x))
-        .y((d) => scales.yScale(d.y));
+function getLineWidth(seriesConfig) {
+    return (seriesConfig?.lineWidth || 1.5) + (seriesConfig?.highlighted ? HIGHLIGHT_EXTRA_WIDTH : 0);
+}
+
+/**
+ * Whether a series type is drawn as filled shapes rather than stroked lines.
+ * @param {string} type - The series type.
+ * @returns {boolean}
+ */
+function isFilledType(type) {
+    return type === "scatter" || type === "bar";
 }
 
 /**
@@ -57,46 +201,143 @@ function updateGridLines(d3, gridGroups, scales, config, width, height) {
 }
 
 /**
- * Updates the data lines (paths) on the chart.
+ * Updates the series shapes (SVG paths) on the chart.
+ * Each series gets a group holding an optional fill path (area) and its main path.
+ * @param {object} d3 - The D3 library object.
  * @param {object} linesGroup - The D3 selection of the group containing the lines.
- * @param {object} dataStore - The main data store.
+ * @param {object} dataStore - The samples to draw per series (see `getRenderData`).
  * @param {object} seriesConfigs - The series configuration object.
- * @param {object} lineGenerator - The D3 line generator instance.
+ * @param {object} generators - Generators returned by `initializeSeriesGenerators`.
+ * @param {object} scales - Object containing xScale, yScale and the secondary `yScales`.
  * @param {boolean} [animate=false] - Whether to animate the update.
  * @param {object} [transition=null] - Optional D3 transition object.
  */
-function updateLines(linesGroup, dataStore, seriesConfigs, lineGenerator, animate = false, transition = null) {
+function updateLines(d3, linesGroup, dataStore, seriesConfigs, generators, scales, animate = false, transition = null) {
     const seriesEntries = Object.entries(dataStore);
+    const typeOf = (d) => seriesConfigs[d[0]]?.type || "line";
+    const colorOf = (d) => seriesConfigs[d[0]]?.color || "#000";
+    const pathOf = (draw) => (d) => {
+        const path = d3.path();
+        const seriesConfig = seriesConfigs[d[0]] || {};
+        draw(path, generators, d[1], seriesConfig, { xScale: scales.xScale, yScale: getSeriesYScale(scales, seriesConfig) });
+        return path.toString();
+    };
 
-    const lines = linesGroup
-        .selectAll(".series-line")
-        .data(seriesEntries, (d) => d[0]); // Key by seriesId: [seriesId, pointsArray]
+    const series = linesGroup
+        .selectAll(".series")
+        .data(seriesEntries, (d) => d[0]); // Key by seriesId: [seriesId, { buffer, indices }]
 
-    const linesEnter = lines.enter()
-        .append("path")
+    const seriesEnter = series.enter()
+        .append("g")
+        .attr("class", "series");
+    seriesEnter.append("path")
+        .attr("class", "series-area")
+        .attr("stroke", "none")
+        .attr("fill-opacity", 0.3);
+    seriesEnter.append("path")
         .attr("class", "series-line")
-        .attr("fill", "none")
-        .attr("stroke", (d) => seriesConfigs[d[0]]?.color || "#000")
-        .attr("stroke-width", (d) => seriesConfigs[d[0]]?.lineWidth || 1.5)
         .attr("stroke-linejoin", "round")
         .attr("stroke-linecap", "round");
 
-    const linesUpdate = lines.merge(linesEnter); // Apply updates to both entering and updating elements
+    const seriesUpdate = series.merge(seriesEnter); // Apply updates to both entering and updating elements
+    seriesUpdate.attr("opacity", (d) => isSeriesDimmed(seriesConfigs, d[0]) ? DIMMED_OPACITY : null);
+
+    // Propagate the bound data to the child paths
+    const areas = seriesUpdate.select(".series-area");
+    const lines = seriesUpdate.select(".series-line");
 
     // Apply transition if specified
-    const targetUpdate = animate && transition ? linesUpdate.transition(transition) : linesUpdate;
+    const targetAreas = animate && transition ? areas.transition(transition) : areas;
+    const targetLines = animate && transition ? lines.transition(transition) : lines;
+
+    targetAreas
+        .attr("d", (d) => typeOf(d) === "area" ? pathOf(drawSeriesArea)(d) : null)
+        .attr("fill", colorOf);
 
-    targetUpdate
-        .attr("d", (d) => lineGenerator(d[1])) // d[1] is the array of points
-        .attr("stroke", (d) => seriesConfigs[d[0]]?.color || "#000") // Update color if changed
-        .attr("stroke-width", (d) => seriesConfigs[d[0]]?.lineWidth || 1.5); // Update width if changed
+    targetLines
+        .attr("d", pathOf(drawSeriesShape))
+        .attr("fill", (d) => isFilledType(typeOf(d)) ? colorOf(d) : "none")
+        .attr("stroke", (d) => isFilledType(typeOf(d)) ? "none" : colorOf(d)) // Update color if changed
+        .attr("stroke-width", (d) => getLineWidth(seriesConfigs[d[0]])); // Update width if changed
 
     // Apply exit transition if specified
-    const linesExit = lines.exit();
-    const targetExit = animate && transition ? linesExit.transition(transition) : linesExit;
+    const seriesExit = series.exit();
+    const targetExit = animate && transition ? seriesExit.transition(transition) : seriesExit;
     targetExit.remove();
 }
 
+/**
+ * Draws the series onto a canvas (the "performance" rendering backend).
+ * Uses the same shape generators as the SVG backend, pointed at the 2D context.
+ * @param {object} canvas - D3 selection of the canvas element (sized by `updateCanvasLayer`).
+ * @param {object} dataStore - The samples to draw per series (see `getRenderData`).
+ * @param {object} seriesConfigs - The series configuration object.
+ * @param {object} generators - Generators returned by `initializeSeriesGenerators`.
+ * @param {object} scales - Object containing xScale, yScale and the secondary `yScales`.
+ * @param {number} width - The chart drawing area width.
+ * @param {number} height - The chart drawing area height.
+ * @param {number} pixelRatio - Ratio between the canvas backing store and CSS pixels.
+ */
+function drawLinesCanvas(canvas, dataStore, seriesConfigs, generators, scales, width, height, pixelRatio) {
+    const context = canvas.node().getContext("2d");
+    if (!context) return; // Canvas unsupported (e.g. non-browser DOM)
+
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    context.lineJoin = "round";
+    context.lineCap = "round";
+
+    for (const [seriesId, series] of Object.entries(dataStore)) {
+        const seriesConfig = seriesConfigs[seriesId] || {};
+        const type = seriesConfig.type || "line";
+        const color = seriesConfig.color || "#000";
+        const seriesScales = { xScale: scales.xScale, yScale: getSeriesYScale(scales, seriesConfig) };
+        const opacity = isSeriesDimmed(seriesConfigs, seriesId) ? DIMMED_OPACITY : 1;
+
+        if (type === "area") {
+            context.beginPath();
+            drawSeriesArea(context, generators, series, seriesConfig, seriesScales);
+            context.globalAlpha = 0.3 * opacity;
+            context.fillStyle = color;
+            context.fill();
+        }
+        context.globalAlpha = opacity;
+
+        context.beginPath();
+        drawSeriesShape(context, generators, series, seriesConfig, seriesScales);
+        if (isFilledType(type)) {
+            context.fillStyle = color;
+            context.fill();
+        } else {
+            context.strokeStyle = color;
+            context.lineWidth = getLineWidth(seriesConfig);
+            context.stroke();
+        }
+    }
+    context.globalAlpha = 1;
+}
+
+/**
+ * Returns the SVG path of the legend symbol for a series type, drawn in a size x size box.
+ * @param {string} type - The series type.
+ * @param {number} size - The symbol box size in pixels.
+ * @returns {string} - SVG path data.
+ */
+function getLegendSymbolPath(type, size) {
+    const mid = size / 2;
+    switch (type) {
+        case "scatter":
+            return `M${mid + size / 3},${mid}A${size / 3},${size / 3},0,1,1,${mid - size / 3},${mid}A${size / 3},${size / 3},0,1,1,${mid + size / 3},${mid}Z`;
+        case "step":
+            return `M0,${size * 0.8}H${mid}V${size * 0.2}H${size}`;
+        case "area":
+            return `M0,${size}V${size * 0.3}L${mid},${size * 0.5}L${size},${size * 0.2}V${size}Z`;
+        case "bar":
+            return `M0,0H${size}V${size}H0Z`;
+        default: // "line"
+            return `M0,${mid}H${size}`;
+    }
+}
 
 /**
  * Calculates the translation for the legend group based on config and bounding box.
@@ -113,6 +354,16 @@ function getLegendPosition(legendGroupNode, config, margin, width, height) {
     let x = margin.left + 10; // Default top-left with padding
     let y = margin.top + 10;
 
+    // Outside legends sit at the edge of the SVG, in the room `getLegendSpace` made in the margin
+    if (position === "right") {
+        x = margin.left + width + margin.right - legendBBox.width - LEGEND_PADDING;
+        return `translate(${x}, ${margin.top})`;
+    }
+    if (position === "bottom") {
+        y = margin.top + height + margin.bottom - legendBBox.height - LEGEND_PADDING / 2;
+        return `translate(${margin.left}, ${y})`;
+    }
+
     switch (position) {
         case "top-right":
             x = margin.left + width - legendBBox.width - 10; // 10px padding from right edge
@@ -138,26 +389,134 @@ function getLegendPosition(legendGroupNode, config, margin, width, height) {
 }
 
 
+/**
+ * Returns the room an outside legend ("right" or "bottom" position) needs in the margin.
+ * @param {object} config - The chart configuration.
+ * @param {object|null} legendSize - { width, height } returned by `updateLegend`.
+ * @returns {object} - { right, bottom } in pixels, zero for legends inside the plot.
+ */
+function getLegendSpace(config, legendSize) {
+    const space = { right: 0, bottom: 0 };
+    if (!config.legend.visible || !legendSize || legendSize.width === 0) return space;
+    if (config.legend.position === "right") space.right = legendSize.width + 2 * LEGEND_PADDING;
+    if (config.legend.position === "bottom") space.bottom = legendSize.height + LEGEND_PADDING;
+    return space;
+}
+
+/**
+ * Returns the space the legend items may occupy: the plot area for inside
+ * positions and "right"; the plot width and a quarter of the SVG height for "bottom".
+ * `legend.maxHeight` overrides the height.
+ * @param {object} config - The chart configuration.
+ * @param {object} margin - The chart margin object.
+ * @param {number} width - The chart drawing area width.
+ * @param {number} height - The chart drawing area height.
+ * @returns {object} - { width, height } in pixels.
+ */
+function getLegendAvailableSize(config, margin, width, height) {
+    const { position, maxHeight } = config.legend;
+    if (position === "bottom") {
+        return { width, height: maxHeight ?? (margin.top + height + margin.bottom) / 4 };
+    }
+    if (position === "right") {
+        return { width: Infinity, height: maxHeight ?? height };
+    }
+    return { width: width - 2 * LEGEND_PADDING, height: maxHeight ?? height - 2 * LEGEND_PADDING };
+}
+
+/**
+ * Sets the text of a label, shortened with an ellipsis to fit `maxWidth`.
+ * @param {SVGTextElement} textNode - The label element.
+ * @param {string} label - The full label.
+ * @param {number} maxWidth - Maximum width in pixels (Infinity never truncates).
+ * @returns {boolean} - Whether the label was shortened.
+ */
+function setTruncatedLabel(textNode, label, maxWidth) {
+    textNode.textContent = label;
+    const measure = () => textNode.getComputedTextLength();
+    if (!isFinite(maxWidth) || typeof textNode.getComputedTextLength !== "function" || measure() <= maxWidth) {
+        return false;
+    }
+    // Longest prefix that fits together with the ellipsis
+    let lo = 0;
+    let hi = label.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >>> 1;
+        textNode.textContent = `${label.slice(0, mid)}…`;
+        if (measure() <= maxWidth) lo = mid;
+        else hi = mid - 1;
+    }
+    textNode.textContent = `${label.slice(0, lo)}…`;
+    return true;
+}
+
+/**
+ * Returns the values the legend shows next to the labels (`legend.showValues`):
+ * true shows the latest value, an array picks from "last", "min", "max" and "mean".
+ * @param {object} config - The chart configuration.
+ * @returns {Array<string>} - The statistics to show, empty when disabled.
+ */
+function getLegendStats(config) {
+    const { showValues } = config.legend;
+    if (showValues === true) return ["last"];
+    return Array.isArray(showValues) ? showValues.filter((stat) => LEGEND_STATS.includes(stat)) : [];
+}
+
+/**
+ * Refreshes the value readout of the legend items (see `getLegendStats`) in place;
+ * the items themselves are laid out by `updateLegend`. Values use the series'
+ * `valueFormat`; min/max/mean cover the visible X window.
+ * @param {object} d3 - The D3 library object.
+ * @param {object} legendGroup - The D3 selection of the legend group.
+ * @param {object} dataStore - The main data store.
+ * @param {object} seriesConfigs - The series configuration object.
+ * @param {object} config - The chart configuration.
+ * @param {Array<number>} xDomain - The visible X domain.
+ */
+function updateLegendValues(d3, legendGroup, dataStore, seriesConfigs, config, xDomain) {
+    const stats = getLegendStats(config);
+    if (!config.legend.visible || stats.length === 0) return;
+    legendGroup.selectAll(".legend-item").select(".legend-values").text((d) => {
+        const buffer = dataStore[d[0]];
+        if (!buffer || buffer.length === 0) return "";
+        const format = d3.format(seriesConfigs[d[0]]?.valueFormat || DEFAULT_VALUE_FORMAT);
+        const values = getSeriesStats(buffer, xDomain, stats);
+        return stats
+            .map((stat) => {
+                const value = isNaN(values[stat]) ? "–" : format(values[stat]);
+                return stat === "last" ? value : `${stat} ${value}`;
+            })
+            .join("  ");
+    });
+}
+
 /**
  * Updates the legend display based on current series configurations.
+ * Items are laid out in `legend.columns` columns (row by row), by default one, or
+ * as many as fit for the "bottom" position. Labels longer than `legend.maxLabelWidth`
+ * are truncated (the full label shows on hover), and items that do not fit the
+ * available height are replaced by a "+N more" entry.
  * @param {object} legendGroup - The D3 selection of the legend group.
  * @param {object} seriesConfigs - The series configuration object.
  * @param {object} config - The chart configuration.
  * @param {object} margin - The chart margin object.
  * @param {number} width - The chart drawing area width.
  * @param {number} height - The chart drawing area height.
+ * @param {object} [itemHandlers={}] - Legend item event handlers by event type
+ *   ("click", "dblclick", "mouseenter", "mouseleave"), each called with (seriesId, event).
+ * @returns {object|null} - The legend size { width, height } in pixels, null when hidden.
  */
-function updateLegend(legendGroup, seriesConfigs, config, margin, width, height) {
+function updateLegend(legendGroup, seriesConfigs, config, margin, width, height, itemHandlers = {}) {
     if (!config.legend.visible) {
         legendGroup.selectAll("*").remove(); // Clear legend if not visible
-        return;
+        return null;
     }
 
     const legendItems = Object.entries(seriesConfigs); // Use configs as source of truth
 
-    const itemHeight = 20;
-    const itemPadding = 5;
-    const symbolSize = 10;
+    const itemHeight = LEGEND_ITEM_HEIGHT;
+    const itemPadding = LEGEND_ITEM_PADDING;
+    const symbolSize = LEGEND_SYMBOL_SIZE;
 
     const legend = legendGroup
         .selectAll(".legend-item")
@@ -168,12 +527,11 @@ function updateLegend(legendGroup, seriesConfigs, config, margin, width, height)
         .attr("class", "legend-item");
         // Position is set in merge below
 
-    // Add color symbol (rectangle for line charts)
-    legendEnter.append("rect")
-        .attr("width", symbolSize)
-        .attr("height", symbolSize)
-        .attr("y", (itemHeight - symbolSize) / 2 - itemPadding / 2) // Center vertically slightly adjusted
-        .attr("fill", (d) => d[1].color || "#000"); // d[1] is the config object
+    // Add color symbol (shape depends on the series type)
+    legendEnter.append("path")
+        .attr("class", "legend-symbol")
+        .attr("transform", `translate(0, ${(itemHeight - symbolSize) / 2 - itemPadding / 2})`) // Center vertically slightly adjusted
+        .attr("stroke-width", 2);
 
     // Add text label
     legendEnter.append("text")
@@ -184,29 +542,116 @@ function updateLegend(legendGroup, seriesConfigs, config, margin, width, height)
         .style("fill", "#333")
         .text((d) => d[1].label || d[0]); // Use label or fallback to ID
 
+    // Value readout, filled by `updateLegendValues`
+    legendEnter.append("text")
+        .attr("class", "legend-values")
+        .attr("y", itemHeight / 2)
+        .attr("dy", "0.35em")
+        .style("font-size", "10px")
+        .style("fill", "#666")
+        .style("font-variant-numeric", "tabular-nums");
+
+    // Full label of truncated items, shown on hover
+    legendEnter.append("title");
+
     // --- Update existing items ---
     const legendUpdate = legend.merge(legendEnter);
 
-    legendUpdate.select("rect")
-        .attr("fill", (d) => d[1].color || "#000"); // Update color if changed
+    legendUpdate.select(".legend-symbol") // d[1] is the config object
+        .attr("d", (d) => getLegendSymbolPath(d[1].type, symbolSize)) // Update shape if the type changed
+        .attr("fill", (d) => d[1].type === "line" || d[1].type === "step" || !d[1].type ? "none" : d[1].color || "#000")
+        .attr("fill-opacity", (d) => d[1].type === "area" ? 0.3 : 1)
+        .attr("stroke", (d) => isFilledType(d[1].type) ? "none" : d[1].color || "#000"); // Update color if changed
 
+    // Highlighted labels take the series color; not bold, which would change the measured widths and the layout
     legendUpdate.select("text")
-        .text((d) => d[1].label || d[0]); // Update label if changed
+        .style("fill", (d) => d[1].highlighted ? d[1].color || "#000" : "#333")
+        .style("text-decoration", (d) => d[1].highlighted ? "underline" : null);
+
+    // Labels (truncated if needed) and the widest item, which sets the column width
+    const maxLabelWidth = config.legend.maxLabelWidth ?? Infinity;
+    let itemWidth = 0;
+    legendUpdate.each(function (d) {
+        const label = d[1].label || d[0];
+        const textNode = this.querySelector("text");
+        const isTruncated = setTruncatedLabel(textNode, label, maxLabelWidth);
+        this.querySelector("title").textContent = isTruncated ? label : "";
+        const textWidth = typeof textNode.getComputedTextLength === "function" ? textNode.getComputedTextLength() : 0;
+        itemWidth = Math.max(itemWidth, symbolSize + itemPadding + textWidth);
+    });
+
+    // Values form a column after the longest label, in a fixed width
+    const stats = getLegendStats(config);
+    legendUpdate.select(".legend-values")
+        .attr("x", itemWidth + LEGEND_VALUE_GAP)
+        .style("display", stats.length > 0 ? null : "none");
+    if (stats.length > 0) {
+        itemWidth += LEGEND_VALUE_GAP + stats.length * LEGEND_VALUE_WIDTH;
+    }
+
+    legendUpdate.attr("opacity", (d) => d[1].visible === false ? HIDDEN_LEGEND_OPACITY : null);
+
+    // Grid layout: as many items as fit, the last cell going to "+N more" on overflow
+    const available = getLegendAvailableSize(config, margin, width, height);
+    const columnWidth = itemWidth + LEGEND_COLUMN_GAP;
+    const columns = Math.max(1, config.legend.columns ??
+        (config.legend.position === "bottom" ? Math.floor((available.width + LEGEND_COLUMN_GAP) / columnWidth) : 1));
+    const rows = Math.max(1, Math.floor(available.height / itemHeight));
+    const shownCount = legendItems.length > rows * columns ? rows * columns - 1 : legendItems.length;
+    const cellTransform = (i) => `translate(${(i % columns) * columnWidth}, ${Math.floor(i / columns) * itemHeight})`;
 
     // Update position for all items (including entering)
-    legendUpdate.attr("transform", (d, i) => `translate(0, ${i * itemHeight})`);
+    legendUpdate
+        .style("display", (d, i) => i < shownCount ? null : "none")
+        .attr("transform", (d, i) => cellTransform(i));
+
+    const hiddenLabels = legendItems.slice(shownCount).map(([seriesId, seriesConfig]) => seriesConfig.label || seriesId);
+    const more = legendGroup.selectAll(".legend-more")
+        .data(hiddenLabels.length > 0 ? [hiddenLabels] : []);
+    const moreEnter = more.enter()
+        .append("text")
+        .attr("class", "legend-more")
+        .attr("y", itemHeight / 2)
+        .attr("dy", "0.35em")
+        .style("font-size", "10px")
+        .style("fill", "#666");
+    moreEnter.append("tspan");
+    moreEnter.append("title");
+    const moreUpdate = more.merge(moreEnter).attr("transform", cellTransform(shownCount));
+    moreUpdate.select("tspan").text((labels) => `+${labels.length} more`);
+    moreUpdate.select("title").text((labels) => labels.join("\n"));
+    more.exit().remove();
+
+    legendUpdate.style("cursor", itemHandlers.click ? "pointer" : null);
+    for (const type of ["click", "dblclick", "mouseenter", "mouseleave"]) {
+        const handler = itemHandlers[type];
+        legendUpdate.on(type, handler ? (event, d) => handler(d[0], event) : null);
+    }
 
     legend.exit().remove();
 
     // Adjust legend group position dynamically after items are potentially added/removed/updated
     legendGroup.attr("transform", getLegendPosition(legendGroup.node(), config, margin, width, height));
+
+    const cellCount = shownCount + (hiddenLabels.length > 0 ? 1 : 0);
+    if (cellCount === 0) return { width: 0, height: 0 };
+    return {
+        width: Math.min(columns, cellCount) * columnWidth - LEGEND_COLUMN_GAP,
+        height: Math.ceil(cellCount / columns) * itemHeight
+    };
 }
 
 
 module.exports = {
-    initializeLineGenerator,
+    SERIES_TYPES,
+    initializeSeriesGenerators,
+    drawSeriesShape,
+    drawSeriesArea,
     updateGridLines,
     updateLines,
+    drawLinesCanvas,
     updateLegend,
+    updateLegendValues,
+    getLegendSpace,
     getLegendPosition // Exporting for potential direct use if needed
 };
\ No newline at end of file
@@ -0,0 +1,302 @@
+/**
+ * Fixed-capacity storage for one series' samples (X and Y in Float64Arrays).
+ */
+const { MinMaxTree } = require('./minMaxTree');
+
+const INITIAL_ALLOCATION = 256; // Storage grows by doubling up to the capacity
+
+/**
+ * Ring buffer of (x, y) samples. Appending is O(log n) (the Y tree is updated) and
+ * never reallocates once the capacity is reached; from then on each append
+ * overwrites the oldest sample. Samples are addressed by
+ * logical index: 0 is the oldest, `length - 1` the newest. Late samples can be
+ * inserted in X order at the cost of shifting the newer ones.
+ * Missing Y values (null/undefined) are stored as NaN.
+ * A min/max tree over the Y values and a count of out-of-order neighbours let the
+ * extents of any X window be found in O(log n) whenever X is sorted.
+ */
+class RingBuffer {
+    #xs;
+    #ys;
+    #start = 0; // Physical index of the oldest sample
+    #length = 0;
+    #capacity;
+    #yTree; // MinMaxTree over the physical slots
+    #inversions = 0; // Number of neighbouring samples whose X decreases; 0 = sorted by X
+
+    /**
+     * @param {number} [capacity=Infinity] - Maximum number of samples kept; Infinity never evicts.
+     */
+    constructor(capacity = Infinity) {
+        this.#capacity = capacity;
+        const allocation = Math.min(capacity, INITIAL_ALLOCATION);
+        this.#xs = new Float64Array(allocation);
+        this.#ys = new Float64Array(allocation);
+        this.#yTree = new MinMaxTree(allocation);
+    }
+
+    /** @returns {number} - Number of stored samples. */
+    get length() {
+        return this.#length;
+    }
+
+    /** @returns {number} - Maximum number of samples kept. */
+    get capacity() {
+        return this.#capacity;
+    }
+
+    /**
+     * Whether the samples are sorted by X. Becomes true again once the
+     * out-of-order samples have been evicted or dropped.
+     * @returns {boolean}
+     */
+    get isSorted() {
+        return this.#inversions === 0;
+    }
+
+    /**
+     * @param {number} i - Logical index (0 = oldest).
+     * @returns {number} - The X value of the sample.
+     */
+    x(i) {
+        return this.#xs[this.#slot(i)];
+    }
+
+    /**
+     * @param {number} i - Logical index (0 = oldest).
+     * @returns {number} - The Y value of the sample (NaN when missing).
+     */
+    y(i) {
+        return this.#ys[this.#slot(i)];
+    }
+
+    /**
+     * Replaces the Y value of a stored sample.
+     * @param {number} i - Logical index (0 = oldest).
+     * @param {number|null} y - The new Y value.
+     */
+    setY(i, y) {
+        if (i < 0 || i >= this.#length) return;
+        this.#write(this.#slot(i), this.x(i), y);
+    }
+
+    /**
+     * Appends a sample, evicting the oldest one when the buffer is full.
+     * @param {number} x - The X value.
+     * @param {number|null} y - The Y value.
+     */
+    push(x, y) {
+        if (this.#length === this.#xs.length) {
+            if (this.#length < this.#capacity) {
+                this.#grow();
+            } else if (this.#length === 0) {
+                return; // Zero capacity keeps nothing
+            } else {
+                this.dropOldest(1); // Full: the new sample takes the oldest one's slot
+            }
+        }
+        if (this.#length > 0 && x < this.x(this.#length - 1)) {
+            this.#inversions++;
+        }
+        this.#write(this.#slot(this.#length), x, y);
+        this.#length++;
+    }
+
+    /**
+     * Inserts a sample at its place in X order (after samples with the same X),
+     * shifting the newer samples. A full buffer evicts its oldest sample, so a
+     * sample older than every stored one is not kept. Unsorted buffers append.
+     * @param {number} x - The X value.
+     * @param {number|null} y - The Y value.
+     * @returns {boolean} - Whether the sample was stored.
+     */
+    insert(x, y) {
+        let index = this.bisectRight(x);
+        if (!this.isSorted || index === this.#length) {
+            this.push(x, y);
+            return this.#length > 0;
+        }
+        if (this.#length === this.#capacity) {
+            if (index === 0) return false;
+            this.dropOldest(1);
+            index--;
+        } else if (this.#length === this.#xs.length) {
+            this.#grow();
+        }
+        this.#length++;
+        for (let i = this.#length - 1; i > index; i--) {
+            this.#write(this.#slot(i), this.x(i - 1), this.y(i - 1));
+        }
+        this.#write(this.#slot(index), x, y);
+        return true;
+    }
+
+    /**
+     * Changes the capacity, dropping the oldest samples if more than `capacity` are stored.
+     * @param {number} capacity - The new capacity (Infinity never evicts).
+     */
+    setCapacity(capacity) {
+        if (capacity === this.#capacity) return;
+        this.#capacity = capacity;
+        if (this.#length > capacity) {
+            this.dropOldest(this.#length - capacity);
+        }
+        if (this.#xs.length > capacity) {
+            this.#reallocate(capacity);
+        }
+    }
+
+    /**
+     * Removes the oldest samples.
+     * @param {number} count - Number of samples to remove (clamped to the length).
+     */
+    dropOldest(count) {
+        const dropped = Math.min(Math.max(0, count), this.#length);
+        if (dropped === 0) return;
+        // Out-of-order neighbours leave with the first of the two
+        for (let i = 0; this.#inversions > 0 && i < dropped && i + 1 < this.#length; i++) {
+            if (this.x(i + 1) < this.x(i)) this.#inversions--;
+        }
+        this.#start = (this.#start + dropped) % this.#xs.length;
+        this.#length -= dropped;
+    }
+
+    /**
+     * Removes the oldest samples whose X is below `x`, stopping at the first one
+     * that is not (binary search when sorted).
+     * @param {number} x - The oldest X value to keep.
+     */
+    dropBefore(x) {
+        if (this.isSorted) {
+            this.dropOldest(this.bisectLeft(x));
+            return;
+        }
+        let count = 0;
+        while (count < this.#length && this.x(count) < x) count++;
+        this.dropOldest(count);
+    }
+
+    /**
+     * Removes all samples, keeping the capacity.
+     */
+    clear() {
+        this.#start = 0;
+        this.#length = 0;
+        this.#inversions = 0;
+    }
+
+    /**
+     * Returns the X extent of all samples: O(1) when sorted, a scan otherwise.
+     * @returns {Array<number>|null} - [minX, maxX], or null when empty.
+     */
+    xExtent() {
+        if (this.#length === 0) return null;
+        if (this.isSorted) return [this.x(0), this.x(this.#length - 1)];
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < this.#length; i++) {
+            const x = this.x(i);
+            if (x < min) min = x;
+            if (x > max) max = x;
+        }
+        return [min, max];
+    }
+
+    /**
+     * Returns the Y extent of the samples in a logical index range, ignoring NaN.
+     * @param {number} [start=0] - First logical index.
+     * @param {number} [end=length] - Logical index after the last one.
+     * @param {boolean} [positiveOnly=false] - Only consider values > 0 (log axes).
+     * @returns {Array<number>|null} - [minY, maxY], or null when no value qualifies.
+     */
+    yExtent(start = 0, end = this.#length, positiveOnly = false) {
+        if (end <= start) return null;
+        const size = this.#xs.length;
+        const first = (this.#start + start) % size;
+        const last = first + (end - start); // May wrap past the end of the storage
+        const parts = last <= size
+            ? [this.#yTree.query(first, last)]
+            : [this.#yTree.query(first, size), this.#yTree.query(0, last - size)];
+        const min = Math.min(...parts.map((part) => positiveOnly ? part.minPositive : part.min));
+        const max = Math.max(...parts.map((part) => part.max));
+        return min <= max ? [min, max] : null;
+    }
+
+    /**
+     * First logical index whose X is >= x. Assumes samples are sorted by X.
+     * @param {number} x - The X value to search.
+     * @returns {number} - Index in [0, length].
+     */
+    bisectLeft(x) {
+        let lo = 0;
+        let hi = this.#length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (this.x(mid) < x) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * First logical index whose X is > x. Assumes samples are sorted by X.
+     * @param {number} x - The X value to search.
+     * @returns {number} - Index in [0, length].
+     */
+    bisectRight(x) {
+        let lo = 0;
+        let hi = this.#length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (this.x(mid) <= x) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * Copies the samples into new point objects.
+     * @param {number} [start=0] - First logical index.
+     * @param {number} [end=length] - Logical index after the last one.
+     * @returns {Array<object>} - [{x, y}, ...]
+     */
+    toArray(start = 0, end = this.#length) {
+        const points = [];
+        for (let i = start; i < end; i++) {
+            points.push({ x: this.x(i), y: this.y(i) });
+        }
+        return points;
+    }
+
+    #slot(i) {
+        return (this.#start + i) % this.#xs.length;
+    }
+
+    #write(slot, x, y) {
+        this.#xs[slot] = x;
+        this.#ys[slot] = y ?? NaN;
+        this.#yTree.set(slot, this.#ys[slot]);
+    }
+
+    #grow() {
+        this.#reallocate(Math.min(this.#capacity, Math.max(1, this.#xs.length * 2)));
+    }
+
+    // Moves the samples into new arrays of the given size, oldest first
+    #reallocate(size) {
+        const xs = new Float64Array(size);
+        const ys = new Float64Array(size);
+        const yTree = new MinMaxTree(size);
+        for (let i = 0; i < this.#length; i++) {
+            xs[i] = this.x(i);
+            ys[i] = this.y(i);
+            yTree.set(i, ys[i]);
+        }
+        this.#xs = xs;
+        this.#ys = ys;
+        this.#yTree = yTree;
+        this.#start = 0;
+    }
+}
+
+module.exports = { RingBuffer };
@@ -1,18 +1,229 @@
 /**
  * D3 Scale and Axis management for StreamingChart.
  */
+const { toNumericX, parseDuration } = require('./utils');
+const { secondaryYAxisDefaults, deepMerge } = require('./config');
+
+const PRIMARY_Y_AXIS_ID = "y"; // Id of the axis configured by `yAxis`
+const Y_AXIS_SPACING = 50; // Horizontal room taken by each additional Y axis
+
+/**
+ * Returns the configuration of a Y axis by id: `yAxis` for the primary axis,
+ * otherwise the `yAxes` entry merged over the secondary axis defaults.
+ * Unknown ids resolve to the primary axis.
+ * @param {object} config - The chart configuration.
+ * @param {string} [axisId="y"] - The Y axis id.
+ * @returns {object} - The axis configuration.
+ */
+function getYAxisConfig(config, axisId = PRIMARY_Y_AXIS_ID) {
+    const secondary = config.yAxes?.[axisId];
+    return secondary ? deepMerge(secondaryYAxisDefaults, secondary) : config.yAxis;
+}
+
+/**
+ * Returns the ids of the additional Y axes. Entries set to null (removed axes) are skipped.
+ * @param {object} config - The chart configuration.
+ * @returns {Array<string>} - The secondary Y axis ids, in configuration order.
+ */
+function getSecondaryYAxisIds(config) {
+    return Object.keys(config.yAxes || {}).filter((axisId) => config.yAxes[axisId]);
+}
+
+/**
+ * Returns the id of the Y axis a series is plotted against.
+ * Series without a `yAxisId`, or with an unknown one, use the primary axis.
+ * @param {object} config - The chart configuration.
+ * @param {object} [seriesConfig] - The series configuration.
+ * @returns {string} - The Y axis id.
+ */
+function getSeriesYAxisId(config, seriesConfig) {
+    const axisId = seriesConfig?.yAxisId;
+    return axisId && config.yAxes?.[axisId] ? axisId : PRIMARY_Y_AXIS_ID;
+}
+
+/**
+ * Returns the Y scale a series is drawn with.
+ * @param {object} scales - Object containing yScale and the secondary `yScales` by axis id.
+ * @param {object} [seriesConfig] - The series configuration.
+ * @returns {function} - The D3 scale.
+ */
+function getSeriesYScale(scales, seriesConfig) {
+    return scales.yScales?.[seriesConfig?.yAxisId] || scales.yScale;
+}
+
+/**
+ * Computes the horizontal offset of every secondary Y axis, relative to the plot's left edge.
+ * Right axes stack outwards from the right edge, left axes outwards from the primary axis.
+ * @param {object} config - The chart configuration.
+ * @param {number} width - The chart drawing area width.
+ * @returns {object} - { axisId: xOffset }
+ */
+function getSecondaryYAxisOffsets(config, width) {
+    const offsets = {};
+    let rightCount = 0;
+    let leftCount = 0;
+    for (const axisId of getSecondaryYAxisIds(config)) {
+        if (getYAxisConfig(config, axisId).position === "left") {
+            leftCount++;
+            offsets[axisId] = -leftCount * Y_AXIS_SPACING;
+        } else {
+            offsets[axisId] = width + rightCount * Y_AXIS_SPACING;
+            rightCount++;
+        }
+    }
+    return offsets;
+}
+
+/**
+ * Computes the margins needed to fit the secondary Y axes.
+ * @param {object} config - The chart configuration.
+ * @param {object} baseMargin - The margins without secondary axes.
+ * @returns {object} - { left, right } margins.
+ */
+function getYAxesMargins(config, baseMargin) {
+    let rightCount = 0;
+    let leftCount = 0;
+    for (const axisId of getSecondaryYAxisIds(config)) {
+        if (getYAxisConfig(config, axisId).position === "left") leftCount++;
+        else rightCount++;
+    }
+    return {
+        left: baseMargin.left + leftCount * Y_AXIS_SPACING,
+        // The base right margin already fits one axis
+        right: baseMargin.right + Math.max(0, rightCount - 1) * Y_AXIS_SPACING
+    };
+}
+
+/**
+ * Creates the X scale for the configured `xAxis.type`.
+ * Time scales take epoch milliseconds (or Dates) and get time-aware ticks.
+ * @param {object} d3 - The D3 library object.
+ * @param {string} [type="linear"] - "linear", "time" (local time) or "utc".
+ * @returns {function} - The D3 scale.
+ */
+function createXScale(d3, type = "linear") {
+    switch (type) {
+        case "time":
+            return d3.scaleTime();
+        case "utc":
+            return d3.scaleUtc();
+        default:
+            return d3.scaleLinear();
+    }
+}
+
+/**
+ * Creates the Y scale for the configured `yAxis.scale`.
+ * @param {object} d3 - The D3 library object.
+ * @param {object} [yAxisConfig={}] - The Y axis configuration ({ scale, exponent, constant }).
+ * @returns {function} - The D3 scale.
+ */
+function createYScale(d3, yAxisConfig = {}) {
+    switch (yAxisConfig.scale) {
+        case "log":
+            return d3.scaleLog();
+        case "symlog":
+            return d3.scaleSymlog().constant(yAxisConfig.constant ?? 1);
+        case "pow":
+            return d3.scalePow().exponent(yAxisConfig.exponent ?? 0.5);
+        default:
+            return d3.scaleLinear();
+    }
+}
+
+/**
+ * Returns the forward/inverse transform of an axis scale type, i.e. the space in which
+ * the scale is linear. Padding and wheel zoom are computed in that space.
+ * @param {object} [axisConfig={}] - The axis configuration ({ scale, exponent, constant }).
+ * @returns {{forward: function, inverse: function}}
+ */
+function getScaleTransform(axisConfig = {}) {
+    switch (axisConfig.scale) {
+        case "log":
+            return { forward: Math.log10, inverse: (t) => Math.pow(10, t) };
+        case "symlog": {
+            const c = axisConfig.constant ?? 1;
+            return {
+                forward: (v) => Math.sign(v) * Math.log1p(Math.abs(v) / c),
+                inverse: (t) => Math.sign(t) * Math.expm1(Math.abs(t)) * c
+            };
+        }
+        case "pow": {
+            const e = axisConfig.exponent ?? 0.5;
+            return {
+                forward: (v) => Math.sign(v) * Math.pow(Math.abs(v), e),
+                inverse: (t) => Math.sign(t) * Math.pow(Math.abs(t), 1 / e)
+            };
+        }
+        default:
+            return { forward: (v) => v, inverse: (t) => t };
+    }
+}
+
+/**
+ * Whether a value can be shown on an axis with the given scale type.
+ * Null/NaN never can; log axes additionally drop non-positive values.
+ * @param {object} axisConfig - The axis configuration.
+ * @param {number|null} value - The value.
+ * @returns {boolean}
+ */
+function isPlottableValue(axisConfig, value) {
+    if (value === null || isNaN(value)) return false;
+    return axisConfig?.scale !== "log" || value > 0;
+}
+
+/**
+ * Warns about configured Y ranges a log axis cannot show: bounds <= 0 are
+ * ignored (auto-scaled) while the axis is logarithmic.
+ * @param {object} config - The chart configuration.
+ */
+function checkYAxisRanges(config) {
+    [PRIMARY_Y_AXIS_ID, ...getSecondaryYAxisIds(config)].forEach((axisId) => {
+        const axisConfig = getYAxisConfig(config, axisId);
+        ["min", "max"]
+            .filter((bound) => typeof axisConfig.range?.[bound] === "number" && !isPlottableValue(axisConfig, axisConfig.range[bound]))
+            .forEach((bound) => {
+                console.warn(`Y axis "${axisId}" range.${bound} ${axisConfig.range[bound]} is not positive, auto-scaling it on the log scale instead.`);
+            });
+    });
+}
+
+/**
+ * Zooms a domain around a center value by a factor, in the scale's linear space.
+ * @param {Array<number>} domain - The current [min, max] domain.
+ * @param {number} center - The value that stays fixed (e.g. under the pointer).
+ * @param {number} factor - Zoom factor (> 1 zooms in).
+ * @param {object} [axisConfig={}] - The axis configuration (selects the transform).
+ * @returns {Array<number>} - The new [min, max] domain.
+ */
+function zoomDomain(domain, center, factor, axisConfig = {}) {
+    const { forward, inverse } = getScaleTransform(axisConfig);
+    const c = forward(center);
+    return domain.map((v) => inverse(c + (forward(v) - c) / factor));
+}
 
 /**
  * Initializes D3 scales.
  * @param {object} d3 - The D3 library object.
  * @param {number} width - The chart drawing area width.
  * @param {number} height - The chart drawing area height.
- * @returns {object} - An object containing initialized xScale and yScale.
+ * @param {object} [config] - The chart configuration (selects the scale types).
+ * @returns {object} - An object containing initialized xScale and yScale, plus an empty `yScales`
+ *   map that receives the scales of additional Y axes.
+ */
+function initializeScales(d3, width, height, config) {
+    const xScale = createXScale(d3, config?.xAxis?.type).range([0, width]);
+    const yScale = createYScale(d3, config?.yAxis).range([height, 0]);
+    return { xScale, yScale, yScales: {} };
+}
+
+/**
+ * Returns a scale's domain as plain numbers (time scales return Dates).
+ * @param {function} scale - A D3 continuous scale.
+ * @returns {Array<number>} - [min, max]
  */
-function initializeScales(d3, width, height) {
-    const xScale = d3.scaleLinear().range([0, width]);
-    const yScale = d3.scaleLinear().range([height, 0]);
-    return { xScale, yScale };
+function getDomain(scale) {
+    return scale.domain().map(Number);
 }
 
 /**
@@ -34,13 +245,16 @@ function initializeAxes(d3, scales) {
  * @returns {Array<number>} - [minX, maxX] or a default range if no data.
  */
 function getFullXDomain(d3, dataStore) {
-    let allX = [];
+    let minX = Infinity;
+    let maxX = -Infinity;
     for (const seriesId in dataStore) {
-        allX = allX.concat(dataStore[seriesId].map((p) => p.x));
+        const extent = dataStore[seriesId].xExtent(); // O(1) for X-sorted series
+        if (!extent) continue;
+        minX = Math.min(minX, extent[0]);
+        maxX = Math.max(maxX, extent[1]);
     }
-    let [minX, maxX] = d3.extent(allX);
 
-    if (minX === undefined) return [0, 1]; // Default if no data
+    if (minX > maxX) return [0, 1]; // Default if no data
     if (minX === maxX) return [minX - 1, maxX + 1]; // Add padding for single point
     return [minX, maxX];
 }
@@ -53,17 +267,16 @@ function getFullXDomain(d3, dataStore) {
  * @returns {Array<number>} - [minY, maxY] or a default range if no data.
  */
 function getFullYDomain(d3, dataStore) {
-    let allY = [];
+    let minY = Infinity;
+    let maxY = -Infinity;
     for (const seriesId in dataStore) {
-        allY = allY.concat(
-            dataStore[seriesId]
-                .map((p) => p.y)
-                .filter((y) => y !== null && !isNaN(y)) // Filter out null/NaN
-        );
+        const extent = dataStore[seriesId].yExtent();
+        if (!extent) continue;
+        minY = Math.min(minY, extent[0]);
+        maxY = Math.max(maxY, extent[1]);
     }
-    let [minY, maxY] = d3.extent(allY);
 
-    if (minY === undefined) return [0, 1]; // Default if no data
+    if (minY > maxY) return [0, 1]; // Default if no data
 
     // Add padding
     if (minY === maxY) {
@@ -93,8 +306,11 @@ function getFullYDomain(d3, dataStore) {
  * @returns {Array<number>} - The calculated [minX, maxX] domain.
  */
 function calculateXDomain(d3, config, dataStore, isFollowing) { // Added isFollowing parameter
-    const configRange = config.xAxis.range;
-    const maxTrackX = config.xAxis.maxTrackX;
+    const configRange = {
+        min: toNumericX(config.xAxis.range?.min),
+        max: toNumericX(config.xAxis.range?.max)
+    };
+    const maxTrackX = parseDuration(config.xAxis.maxTrackX); // May be given as a duration, e.g. "5m"
 
     // Get the full extent of the data first
     const fullDataX = getFullXDomain(d3, dataStore);
@@ -150,71 +366,111 @@ function calculateXDomain(d3, config, dataStore, isFollowing) { // Added isFollo
     return [targetMinX, targetMaxX];
 }
 
+/**
+ * Returns the Y extent of a series' samples inside an X window, ignoring values
+ * the axis cannot show (NaN, and non-positive values on log axes).
+ * X-sorted series use binary search and the buffer's min/max tree (O(log n));
+ * others are scanned.
+ * @param {RingBuffer} buffer - The series samples.
+ * @param {Array<number>} xDomain - The [minX, maxX] window.
+ * @param {object} yAxisConfig - The configuration of the series' Y axis.
+ * @returns {Array<number>|null} - [minY, maxY], or null without visible values.
+ */
+function getVisibleYExtent(buffer, xDomain, yAxisConfig) {
+    const positiveOnly = yAxisConfig.scale === "log";
+    if (buffer.isSorted) {
+        return buffer.yExtent(buffer.bisectLeft(xDomain[0]), buffer.bisectRight(xDomain[1]), positiveOnly);
+    }
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (let i = 0; i < buffer.length; i++) {
+        const x = buffer.x(i);
+        const y = buffer.y(i);
+        if (x >= xDomain[0] && x <= xDomain[1] && isPlottableValue(yAxisConfig, y)) {
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+    return minY <= maxY ? [minY, maxY] : null;
+}
+
 /**
  * Calculates the target Y domain considering config and VISIBLE data within the currentXDomain.
  * @param {object} d3 - The D3 library object.
  * @param {object} config - The chart configuration.
  * @param {object} dataStore - The main data store.
  * @param {Array<number>} currentXDomain - The current [minX, maxX] domain of the X-axis.
+ * @param {object} [seriesConfigs={}] - The series configuration object (area/bar baselines are kept in view).
+ * @param {string} [axisId="y"] - The Y axis to calculate; only series assigned to it are considered.
  * @returns {Array<number>} - The calculated [minY, maxY] domain.
  */
-function calculateYDomain(d3, config, dataStore, currentXDomain) {
-    const configRange = config.yAxis.range;
+function calculateYDomain(d3, config, dataStore, currentXDomain, seriesConfigs = {}, axisId = PRIMARY_Y_AXIS_ID) {
+    const yAxisConfig = getYAxisConfig(config, axisId);
+    const isLog = yAxisConfig.scale === "log";
+    // Configured bounds the scale cannot show (<= 0 on log axes, see `checkYAxisRanges`) are ignored
+    const [rangeMin, rangeMax] = ["min", "max"].map((bound) => {
+        const value = yAxisConfig.range?.[bound];
+        return typeof value === "number" && isPlottableValue(yAxisConfig, value) ? value : null;
+    });
 
     // Priority 1: Fixed config range
-    if (
-        configRange &&
-        typeof configRange.min === "number" &&
-        typeof configRange.max === "number"
-    ) {
-        return [configRange.min, configRange.max];
+    if (rangeMin !== null && rangeMax !== null) {
+        return [rangeMin, rangeMax];
     }
 
     // Priority 2: Auto-scale based on visible data
-    let visibleY = [];
+    let minY = Infinity;
+    let maxY = -Infinity;
     for (const seriesId in dataStore) {
-        dataStore[seriesId].forEach((p) => {
-            if (
-                p.x >= currentXDomain[0] &&
-                p.x <= currentXDomain[1] &&
-                p.y !== null &&
-                !isNaN(p.y)
-            ) {
-                visibleY.push(p.y);
-            }
-        });
+        if (getSeriesYAxisId(config, seriesConfigs[seriesId]) !== axisId) continue;
+        if (seriesConfigs[seriesId]?.visible === false) continue; // Hidden series do not scale the axis
+        const extent = getVisibleYExtent(dataStore[seriesId], currentXDomain, yAxisConfig);
+        const hasVisible = extent !== null;
+        if (hasVisible) {
+            minY = Math.min(minY, extent[0]);
+            maxY = Math.max(maxY, extent[1]);
+        }
+        // Filled series are drawn from their baseline, so keep it in view
+        const type = seriesConfigs[seriesId]?.type;
+        const baseline = seriesConfigs[seriesId]?.baseline ?? 0;
+        if ((type === "area" || type === "bar") && hasVisible && isPlottableValue(yAxisConfig, baseline)) {
+            minY = Math.min(minY, baseline);
+            maxY = Math.max(maxY, baseline);
+        }
     }
 
-    let [minY, maxY] = d3.extent(visibleY);
-
     // Handle no visible data
-    if (minY === undefined) {
-        minY = configRange && typeof configRange.min === "number" ? configRange.min : 0;
-        maxY = configRange && typeof configRange.max === "number" ? configRange.max : 1;
-        if (minY === maxY) return [minY - 0.5, maxY + 0.5];
+    if (minY > maxY) {
+        minY = rangeMin ?? (isLog ? 1 : 0);
+        maxY = rangeMax ?? (isLog ? 10 : 1);
+        if (minY === maxY) return isLog ? [minY / 10, maxY * 10] : [minY - 0.5, maxY + 0.5];
         return [minY, maxY];
     }
 
     // Apply individual config limits if auto-scaling
-    minY = configRange && typeof configRange.min === "number" ? configRange.min : minY;
-    maxY = configRange && typeof configRange.max === "number" ? configRange.max : maxY;
-
-    // Add padding
-    if (minY === maxY) {
-        minY -= Math.abs(minY * 0.1) || 0.5; // Add 10% padding or 0.5
-        maxY += Math.abs(maxY * 0.1) || 0.5;
+    minY = rangeMin ?? minY;
+    maxY = rangeMax ?? maxY;
+
+    // Add padding in the scale's linear space (e.g. decades for log), so a log
+    // axis never gets padded below zero
+    const { forward, inverse } = getScaleTransform(yAxisConfig);
+    let t0 = forward(minY);
+    let t1 = forward(maxY);
+    if (t0 === t1) {
+        t0 -= Math.abs(t0 * 0.1) || 0.5; // Add 10% padding or 0.5
+        t1 += Math.abs(t1 * 0.1) || 0.5;
     } else {
-        const padding = (maxY - minY) * 0.05 || 0.5; // 5% padding or 0.5
-        minY -= padding;
-        maxY += padding;
+        const padding = (t1 - t0) * 0.05 || 0.5; // 5% padding or 0.5
+        t0 -= padding;
+        t1 += padding;
     }
 
      // Ensure min < max after padding
-     if (minY >= maxY) {
-        minY = maxY - 1; // Ensure there's always a range
+     if (t0 >= t1) {
+        t0 = t1 - 1; // Ensure there's always a range
     }
 
-    return [minY, maxY];
+    return [inverse(t0), inverse(t1)];
 }
 
 /**
@@ -224,16 +480,29 @@ function calculateYDomain(d3, config, dataStore, currentXDomain) {
  * @param {object} scales - Object containing xScale and yScale.
  * @param {object} dataStore - The main data store.
  * @param {boolean} isFollowing - Whether the chart is in follow mode.
+ * @param {object} [seriesConfigs={}] - The series configuration object.
  */
-function updateScaleDomains(d3, config, scales, dataStore, isFollowing) { // Added isFollowing parameter
+function updateScaleDomains(d3, config, scales, dataStore, isFollowing, seriesConfigs = {}) { // Added isFollowing parameter
     // Calculate domains based on data, config, and follow state
     const xDomain = calculateXDomain(d3, config, dataStore, isFollowing); // Pass isFollowing
-    const yDomain = calculateYDomain(d3, config, dataStore, xDomain); // Y domain might depend on the calculated X domain
+    const yDomain = calculateYDomain(d3, config, dataStore, xDomain, seriesConfigs); // Y domain might depend on the calculated X domain
 
     scales.xScale.domain(xDomain);
     scales.yScale.domain(yDomain);
 }
 
+/**
+ * Creates the axis generator of a secondary Y axis (ticks point away from the plot).
+ * @param {object} d3 - The D3 library object.
+ * @param {function} scale - The axis scale.
+ * @param {object} axisConfig - The axis configuration.
+ * @returns {function} - The D3 axis generator.
+ */
+function createSecondaryYAxis(d3, scale, axisConfig) {
+    const axis = axisConfig.position === "left" ? d3.axisLeft(scale) : d3.axisRight(scale);
+    return axis.tickSizeOuter(0);
+}
+
 /**
  * Updates the visual representation of the axes.
  * @param {object} axesElements - Object containing D3 selections for axis groups (xAxisGroup, yAxisGroup).
@@ -260,11 +529,27 @@ function updateAxes(axesElements, axesGenerators, scales, height, animate = fals
 
 
 module.exports = {
+    PRIMARY_Y_AXIS_ID,
+    getYAxisConfig,
+    getSecondaryYAxisIds,
+    getSeriesYAxisId,
+    getSeriesYScale,
+    getSecondaryYAxisOffsets,
+    getYAxesMargins,
+    createSecondaryYAxis,
+    createXScale,
+    createYScale,
+    getScaleTransform,
+    isPlottableValue,
+    checkYAxisRanges,
+    zoomDomain,
     initializeScales,
+    getDomain,
     initializeAxes,
     getFullXDomain,
     getFullYDomain,
     calculateXDomain,
+    getVisibleYExtent,
     calculateYDomain,
     updateScaleDomains,
     updateAxes
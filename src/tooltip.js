@@ -0,0 +1,228 @@
+/**
+ * Hover crosshair and tooltip for StreamingChart.
+ */
+const { getSeriesYScale } = require('./scalesAxes');
+
+const DEFAULT_VALUE_FORMAT = ".4~g"; // Used when a series has no `valueFormat`
+
+/**
+ * Returns the formatter for X values shown in the tooltip, matching the X axis type.
+ * @param {object} d3 - The D3 library object.
+ * @param {string} [xAxisType="linear"] - "linear", "time" or "utc".
+ * @returns {function} - (x: number) => string
+ */
+function createXFormatter(d3, xAxisType = "linear") {
+    const timeSpecifier = "%Y-%m-%d %H:%M:%S.%L";
+    switch (xAxisType) {
+        case "time":
+            return (x) => d3.timeFormat(timeSpecifier)(new Date(x));
+        case "utc":
+            return (x) => d3.utcFormat(timeSpecifier)(new Date(x));
+        default:
+            return d3.format(DEFAULT_VALUE_FORMAT);
+    }
+}
+
+/**
+ * Creates the crosshair and tooltip elements on top of the zoom overlay.
+ * The layer ignores pointer events so zoom/pan keep working underneath it.
+ * @param {object} mainGroup - The D3 selection of the main chart group.
+ * @returns {object} - D3 selection of the tooltip layer group.
+ */
+function createTooltip(mainGroup) {
+    const layer = mainGroup.append("g")
+        .attr("class", "tooltip-layer")
+        .style("pointer-events", "none")
+        .style("display", "none");
+
+    layer.append("line")
+        .attr("class", "crosshair-x")
+        .attr("stroke", "#888")
+        .attr("stroke-width", 1)
+        .attr("stroke-dasharray", "3,3");
+
+    layer.append("g").attr("class", "tooltip-markers");
+
+    const box = layer.append("g").attr("class", "tooltip-box");
+    box.append("rect")
+        .attr("rx", 3)
+        .attr("ry", 3)
+        .attr("fill", "rgba(255, 255, 255, 0.9)")
+        .attr("stroke", "#ccc")
+        .attr("stroke-width", 1);
+    box.append("g").attr("class", "tooltip-rows");
+
+    return layer;
+}
+
+// Closest of the samples on either side of xValue, in a series sorted by X
+function bisectNearest(buffer, xValue) {
+    const index = Math.min(buffer.bisectLeft(xValue), buffer.length - 1);
+    return index > 0 && xValue - buffer.x(index - 1) <= buffer.x(index) - xValue ? index - 1 : index;
+}
+
+// Closest sample of a series holding late samples out of X order (the oldest one on ties)
+function scanNearest(buffer, xValue) {
+    let nearest = 0;
+    for (let i = 1; i < buffer.length; i++) {
+        if (Math.abs(buffer.x(i) - xValue) < Math.abs(buffer.x(nearest) - xValue)) nearest = i;
+    }
+    return nearest;
+}
+
+/**
+ * Finds the sample closest (by X) to the given X value in every series.
+ * X-sorted series use binary search; others are scanned.
+ * @param {object} d3 - The D3 library object.
+ * @param {object} dataStore - The main data store.
+ * @param {object} seriesConfigs - The series configuration object.
+ * @param {number} xValue - The X value (data units) under the pointer.
+ * @returns {Array<object>} - [{ seriesId, label, color, valueFormat, yAxisId, x, y }, ...] for series with data;
+ *   `valueFormat` is the series' specifier as checked when it was configured.
+ */
+function findNearestPoints(d3, dataStore, seriesConfigs, xValue) {
+    const nearest = [];
+    for (const seriesId in dataStore) {
+        const buffer = dataStore[seriesId];
+        if (!buffer || buffer.length === 0 || seriesConfigs[seriesId]?.visible === false) continue;
+        const index = buffer.isSorted ? bisectNearest(buffer, xValue) : scanNearest(buffer, xValue);
+        const point = { x: buffer.x(index), y: buffer.y(index) };
+        if (isNaN(point.y)) continue;
+        const seriesConfig = seriesConfigs[seriesId] || {};
+        nearest.push({
+            seriesId,
+            label: seriesConfig.label || seriesId,
+            color: seriesConfig.color || "#000",
+            valueFormat: seriesConfig.valueFormat || DEFAULT_VALUE_FORMAT,
+            yAxisId: seriesConfig.yAxisId,
+            x: point.x,
+            y: point.y
+        });
+    }
+    return nearest;
+}
+
+/**
+ * Positions the crosshair, sample markers and tooltip box for a pointer location.
+ * @param {object} d3 - The D3 library object.
+ * @param {object} layer - D3 selection returned by `createTooltip`.
+ * @param {Array<object>} points - Nearest points as returned by `findNearestPoints`.
+ * @param {Array<number>} pointer - [x, y] pointer position in plot coordinates.
+ * @param {object} scales - Object containing xScale, yScale and the secondary `yScales`.
+ * @param {number} width - The chart drawing area width.
+ * @param {number} height - The chart drawing area height.
+ * @param {function} formatX - Formatter for the X value header (see `createXFormatter`).
+ */
+function updateTooltip(d3, layer, points, pointer, scales, width, height, formatX) {
+    if (!layer || layer.empty()) return;
+    if (points.length === 0) {
+        hideTooltip(layer);
+        return;
+    }
+
+    const { xScale } = scales;
+    const yScale = (d) => getSeriesYScale(scales, d)(d.y); // Each series uses the scale of its Y axis
+    const [pointerX, pointerY] = pointer;
+    const rowHeight = 14;
+    const symbolSize = 8;
+    const padding = 6;
+
+    layer.style("display", null);
+
+    layer.select(".crosshair-x")
+        .attr("x1", pointerX)
+        .attr("x2", pointerX)
+        .attr("y1", 0)
+        .attr("y2", height);
+
+    // Markers on the snapped samples (hidden when outside the plot area)
+    const markers = layer.select(".tooltip-markers")
+        .selectAll("circle")
+        .data(points, (d) => d.seriesId);
+    markers.enter()
+        .append("circle")
+        .attr("r", 3.5)
+        .attr("stroke", "#fff")
+        .attr("stroke-width", 1)
+        .merge(markers)
+        .attr("fill", (d) => d.color)
+        .attr("cx", (d) => xScale(d.x))
+        .attr("cy", yScale)
+        .style("display", (d) => {
+            const cx = xScale(d.x);
+            const cy = yScale(d);
+            return !isFinite(cy) || cx < 0 || cx > width || cy < 0 || cy > height ? "none" : null;
+        });
+    markers.exit().remove();
+
+    // Header shows the X of the first snapped sample, rows show each series' value
+    const rowsData = [{ seriesId: null, text: `x: ${formatX(points[0].x)}` }]
+        .concat(points.map((p) => ({
+            seriesId: p.seriesId,
+            color: p.color,
+            text: `${p.label}: ${d3.format(p.valueFormat)(p.y)}`
+        })));
+
+    const rows = layer.select(".tooltip-rows")
+        .selectAll(".tooltip-row")
+        .data(rowsData, (d) => d.seriesId ?? "__header__");
+    const rowsEnter = rows.enter()
+        .append("g")
+        .attr("class", "tooltip-row");
+    rowsEnter.append("rect")
+        .attr("width", symbolSize)
+        .attr("height", symbolSize)
+        .attr("y", (rowHeight - symbolSize) / 2);
+    rowsEnter.append("text")
+        .attr("y", rowHeight / 2)
+        .attr("dy", "0.35em")
+        .style("font-size", "10px")
+        .style("fill", "#333");
+    rows.exit().remove();
+
+    const rowsUpdate = rows.merge(rowsEnter)
+        .order()
+        .attr("transform", (d, i) => `translate(${padding}, ${padding + i * rowHeight})`);
+    rowsUpdate.select("rect")
+        .style("display", (d) => d.seriesId === null ? "none" : null)
+        .attr("fill", (d) => d.color || "none");
+    rowsUpdate.select("text")
+        .attr("x", (d) => d.seriesId === null ? 0 : symbolSize + 4)
+        .text((d) => d.text);
+
+    // Size the background to the rows, then keep the box inside the plot area
+    const box = layer.select(".tooltip-box");
+    const rowsBBox = box.select(".tooltip-rows").node()?.getBBox() || { width: 80, height: rowsData.length * rowHeight };
+    const boxWidth = rowsBBox.width + 2 * padding;
+    const boxHeight = rowsData.length * rowHeight + 2 * padding;
+    box.select("rect")
+        .attr("width", boxWidth)
+        .attr("height", boxHeight);
+
+    let boxX = pointerX + 12;
+    if (boxX + boxWidth > width) {
+        boxX = pointerX - boxWidth - 12; // Flip to the left of the crosshair
+    }
+    let boxY = pointerY - boxHeight / 2;
+    boxX = Math.max(0, boxX);
+    boxY = Math.max(0, Math.min(boxY, height - boxHeight));
+    box.attr("transform", `translate(${boxX}, ${boxY})`);
+}
+
+/**
+ * Hides the crosshair and tooltip.
+ * @param {object} layer - D3 selection returned by `createTooltip`.
+ */
+function hideTooltip(layer) {
+    if (!layer || layer.empty()) return;
+    layer.style("display", "none");
+}
+
+module.exports = {
+    DEFAULT_VALUE_FORMAT,
+    createXFormatter,
+    createTooltip,
+    findNearestPoints,
+    updateTooltip,
+    hideTooltip
+};
@@ -19,7 +19,48 @@ function getColorForSeries(colorScale, seriesId) {
     return colorScale(seriesId);
 }
 
+// Converts an X value to the number stored internally (Date -> epoch milliseconds)
+function toNumericX(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+const DURATION_UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+// Parses a duration such as "500ms", "30s", "5m", "1.5h" or "2d" into milliseconds.
+// Numbers are returned unchanged (they are already in X units).
+function parseDuration(value) {
+    if (typeof value !== "string") return value;
+    const match = /^\s*(\d*\.?\d+)\s*(ms|s|m|h|d)\s*$/.exec(value);
+    if (!match) {
+        throw new Error(`Invalid duration "${value}". Use a number or a string like "30s", "5m", "1h".`);
+    }
+    return parseFloat(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// Checks a duration option once, when it is configured, so `parseDuration` cannot throw while drawing.
+// Numeric strings (e.g. "30000") become numbers; invalid strings are replaced by `fallback` with a warning.
+function normalizeDuration(value, fallback, name) {
+    if (typeof value !== "string") return value;
+    if (value.trim() !== "" && !isNaN(Number(value))) return Number(value);
+    try {
+        parseDuration(value);
+        return value;
+    } catch (error) {
+        console.warn(`${error.message} ${fallback === undefined ? "Ignoring it" : `Keeping ${fallback}`} for ${name}.`);
+        return fallback;
+    }
+}
+
 module.exports = {
     createColorScale,
-    getColorForSeries
+    getColorForSeries,
+    toNumericX,
+    parseDuration,
+    normalizeDuration
 };
\ No newline at end of file
@@ -16,7 +16,7 @@ function applyZoomBehavior(zoomOverlay, zoomBehavior, enableZoom, enablePan) {
         // For now, if either is enabled, enable the whole behavior.
         // We can filter events in the handler if necessary.
         zoomOverlay.style("cursor", enablePan ? "grab" : "default"); // Set cursor based on pan
-        zoomOverlay.on("dblclick.zoom", null); // Keep double-click zoom disabled
+        zoomOverlay.on("dblclick.zoom", null); // Double-click goes through the chart's view history instead
     } else {
         zoomOverlay.on(".zoom", null); // Detach all zoom behavior listeners
         zoomOverlay.style("cursor", "default");
@@ -35,7 +35,143 @@ function updateZoomExtents(zoomBehavior, width, height) {
     }
 }
 
+// Modifier keys that can start a box zoom, by the name used in `interactions.boxZoomModifier`
+const BOX_ZOOM_MODIFIER_KEYS = { shift: "shiftKey", alt: "altKey", ctrl: "ctrlKey", meta: "metaKey" };
+
+// Axes a box zoom changes, by `interactions.boxZoom` value (true = both)
+const BOX_ZOOM_AXES = { xy: { x: true, y: true }, x: { x: true, y: false }, y: { x: false, y: true } };
+
+// Drags shorter than this (pixels, along every zoomed axis) are clicks, not box zooms
+const MIN_BOX_ZOOM_SIZE = 5;
+
+/**
+ * Returns the axes a box zoom changes for `interactions.boxZoom`, or null when box zoom is off.
+ * @param {boolean|string} boxZoom - false, true/"xy", "x" or "y".
+ * @returns {object|null} - { x: boolean, y: boolean }
+ */
+function getBoxZoomAxes(boxZoom) {
+    if (!boxZoom) return null;
+    const axes = BOX_ZOOM_AXES[boxZoom === true ? "xy" : boxZoom];
+    if (!axes) {
+        console.warn(`Unknown interactions.boxZoom value "${boxZoom}", expected true, "xy", "x" or "y".`);
+        return null;
+    }
+    return axes;
+}
+
+/**
+ * Tells whether a pointer event starts a box zoom: primary button with the
+ * configured modifier held, or any primary-button drag when `modifier` is null.
+ * @param {Event} event - The mousedown event.
+ * @param {string|null} modifier - "shift", "alt", "ctrl", "meta" or null.
+ * @returns {boolean}
+ */
+function isBoxZoomStart(event, modifier) {
+    if (event.button) return false;
+    if (modifier === null || modifier === undefined) return true;
+    const key = BOX_ZOOM_MODIFIER_KEYS[modifier];
+    return Boolean(key && event[key]);
+}
+
+/**
+ * Creates the selection rectangle drawn while dragging a box zoom.
+ * @param {object} mainGroup - The D3 selection of the main chart group.
+ * @returns {object} - The D3 selection of the rectangle (hidden).
+ */
+function createBoxZoomRect(mainGroup) {
+    return mainGroup.append("rect")
+        .attr("class", "box-zoom-selection")
+        .attr("fill", "steelblue")
+        .attr("fill-opacity", 0.15)
+        .attr("stroke", "steelblue")
+        .attr("stroke-dasharray", "4,2")
+        .style("pointer-events", "none")
+        .style("display", "none");
+}
+
+/**
+ * Returns the pixel box spanned by a drag, clamped to the plot area. An axis the
+ * box zoom leaves alone spans the whole plot.
+ * @param {Array<number>} start - [x, y] where the drag started, in plot coordinates.
+ * @param {Array<number>} end - [x, y] where the pointer is now.
+ * @param {object} axes - { x: boolean, y: boolean } from `getBoxZoomAxes`.
+ * @param {number} width - Chart drawing area width.
+ * @param {number} height - Chart drawing area height.
+ * @returns {object} - { x0, x1, y0, y1 } with x0 <= x1 and y0 <= y1.
+ */
+function getBoxZoomExtent(start, end, axes, width, height) {
+    const clamp = (value, max) => Math.max(0, Math.min(max, value));
+    return {
+        x0: axes.x ? clamp(Math.min(start[0], end[0]), width) : 0,
+        x1: axes.x ? clamp(Math.max(start[0], end[0]), width) : width,
+        y0: axes.y ? clamp(Math.min(start[1], end[1]), height) : 0,
+        y1: axes.y ? clamp(Math.max(start[1], end[1]), height) : height
+    };
+}
+
+/**
+ * Shows the selection rectangle over a box, or hides it when `extent` is null.
+ * @param {object} rect - The D3 selection from `createBoxZoomRect`.
+ * @param {object|null} extent - { x0, x1, y0, y1 } from `getBoxZoomExtent`.
+ */
+function updateBoxZoomRect(rect, extent) {
+    if (!rect) return;
+    if (!extent) {
+        rect.style("display", "none");
+        return;
+    }
+    rect.attr("x", extent.x0)
+        .attr("y", extent.y0)
+        .attr("width", extent.x1 - extent.x0)
+        .attr("height", extent.y1 - extent.y0)
+        .style("display", null);
+}
+
+/**
+ * Tells whether a box is large enough to zoom into along the axes it changes.
+ * @param {object} extent - { x0, x1, y0, y1 } from `getBoxZoomExtent`.
+ * @param {object} axes - { x: boolean, y: boolean } from `getBoxZoomAxes`.
+ * @returns {boolean}
+ */
+function isBoxZoomExtentValid(extent, axes) {
+    return (!axes.x || extent.x1 - extent.x0 >= MIN_BOX_ZOOM_SIZE) &&
+        (!axes.y || extent.y1 - extent.y0 >= MIN_BOX_ZOOM_SIZE);
+}
+
+/**
+ * Tells whether two views (see `StreamingChart.getView`) show the same thing. Views
+ * in follow mode are always the same: their domains come from the data.
+ * @param {object} a - A view.
+ * @param {object} b - Another view.
+ * @returns {boolean}
+ */
+function isSameView(a, b) {
+    if (a.following || b.following) return a.following === b.following;
+    return JSON.stringify([a.xDomain, a.yDomain, a.yAxes]) === JSON.stringify([b.xDomain, b.yDomain, b.yAxes]);
+}
+
+/**
+ * Pushes a view onto a history stack, dropping the oldest views beyond `maxSize`.
+ * @param {Array<object>} stack - The history stack, oldest view first.
+ * @param {object} view - The view to push.
+ * @param {number} maxSize - Maximum number of views kept.
+ */
+function pushView(stack, view, maxSize) {
+    stack.push(view);
+    if (stack.length > maxSize) {
+        stack.splice(0, stack.length - maxSize);
+    }
+}
+
 module.exports = {
     applyZoomBehavior,
     updateZoomExtents,
+    getBoxZoomAxes,
+    isBoxZoomStart,
+    createBoxZoomRect,
+    getBoxZoomExtent,
+    updateBoxZoomRect,
+    isBoxZoomExtentValid,
+    isSameView,
+    pushView,
 };
\ No newline at end of file
@@ -0,0 +1,152 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const d3 = require("d3");
+const { connectSource } = require("../src/adapters");
+const { StreamingChart } = require("../lib.js")(d3);
+
+const encoder = new TextEncoder();
+
+// Connects a source and collects the batches handed over
+function collect(source, options) {
+    const batches = [];
+    const connection = connectSource(source, (rows) => batches.push(rows), options);
+    return { batches, connection, rows: () => batches.flat() };
+}
+
+// A WebSocket-like source: an EventTarget emitting `message` and `close` events
+function createMockSocket() {
+    const socket = new EventTarget();
+    socket.send = (data) => {
+        const event = new Event("message");
+        event.data = data;
+        socket.dispatchEvent(event);
+    };
+    socket.close = () => socket.dispatchEvent(new Event("close"));
+    return socket;
+}
+
+test("async iterable: a line split across chunks is parsed once complete", async () => {
+    async function* source() {
+        yield '{"x":1,';
+        yield '"y":2}\n{"x":2';
+        yield ',"y":3}\n';
+    }
+    const { connection, rows } = collect(source());
+    await connection.done;
+    assert.deepStrictEqual(rows(), [{ x: 1, y: 2 }, { x: 2, y: 3 }]);
+});
+
+test("byte ReadableStream: CSV with an unterminated last line", async () => {
+    const bytes = encoder.encode("t,temp\n1,20.5\n2,21\n3,");
+    const stream = new ReadableStream({
+        start(controller) {
+            controller.enqueue(bytes.slice(0, 10)); // Splits the second line
+            controller.enqueue(bytes.slice(10));
+            controller.close();
+        }
+    });
+    const { connection, rows } = collect(stream, { format: "csv" });
+    await connection.done;
+    assert.deepStrictEqual(rows(), [{ t: 1, temp: 20.5 }, { t: 2, temp: 21 }, { t: 3, temp: null }]);
+});
+
+test("WebSocket-like source: string and binary messages each hold whole lines", async () => {
+    const socket = createMockSocket();
+    const { connection, rows } = collect(socket);
+    socket.send('{"t":1}');
+    socket.send(encoder.encode('{"t":2}'));
+    socket.send(encoder.encode('{"t":3}\n{"t":4}').buffer);
+    socket.send('{"t":5}');
+    socket.close();
+    await connection.done;
+    assert.deepStrictEqual(rows(), [{ t: 1 }, { t: 2 }, { t: 3 }, { t: 4 }, { t: 5 }]);
+});
+
+test("CSV fields may be quoted", async () => {
+    const lines = 't,"temp, °C",note\n1,20.5,"said ""hi"""\n2,21,"a, b"\n';
+    const { connection, rows } = collect([lines], { format: "csv" });
+    await connection.done;
+    assert.deepStrictEqual(rows(), [
+        { t: 1, "temp, °C": 20.5, note: 'said "hi"' },
+        { t: 2, "temp, °C": 21, note: "a, b" }
+    ]);
+});
+
+test("WebSocket-like source: Blob messages keep their place among the others", async () => {
+    const socket = createMockSocket();
+    const { connection, rows } = collect(socket);
+    socket.send(new Blob(['{"t":1}']));
+    socket.send('{"t":2}');
+    socket.send(new Blob(['{"t":3}\n{"t":4}']));
+    socket.send(encoder.encode('{"t":5}'));
+    socket.close();
+    await connection.done;
+    assert.deepStrictEqual(rows(), [{ t: 1 }, { t: 2 }, { t: 3 }, { t: 4 }, { t: 5 }]);
+});
+
+test("disconnect() stops reading and hands over the rows received so far", async () => {
+    let isReturned = false;
+    let pulls = 0;
+    async function* source() {
+        try {
+            for (;;) {
+                pulls++;
+                yield `{"x":${pulls}}\n`;
+                await new Promise((resolve) => setTimeout(resolve, 1));
+            }
+        } finally {
+            isReturned = true;
+        }
+    }
+    const { connection, rows } = collect(source(), { batchInterval: 1000 });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    connection.disconnect();
+    await connection.done;
+    const count = rows().length;
+    assert.ok(count > 0);
+    assert.ok(isReturned);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.strictEqual(rows().length, count);
+});
+
+test("destroy() disconnects the chart's sources", async () => {
+    const chart = new StreamingChart(null, { renderMode: "sync" });
+    const socket = createMockSocket();
+    let parsedLines = 0;
+    const parse = (line) => {
+        parsedLines++;
+        return JSON.parse(line);
+    };
+    const connection = chart.connect(socket, { parse });
+    socket.send('{"x":1,"a":10}');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    assert.deepStrictEqual(chart.getData("a"), [{ x: 1, y: 10 }]);
+    chart.destroy();
+    await connection.done;
+    socket.send('{"x":2,"a":20}'); // Listener removed: not read
+    assert.strictEqual(parsedLines, 1);
+});
+
+test("maxBatchSize hands over full batches without waiting for batchInterval", async () => {
+    const lines = Array.from({ length: 7 }, (_, i) => `{"x":${i}}`).join("\n") + "\n";
+    const { batches, connection } = collect([lines], { maxBatchSize: 3, batchInterval: 1000 });
+    await connection.done;
+    assert.deepStrictEqual(batches.map((batch) => batch.length), [3, 3, 1]);
+});
+
+test("a batch the chart rejects is skipped without ending the connection", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const socket = createMockSocket();
+    const received = [];
+    const connection = connectSource(socket, (rows) => {
+        if (rows.some((row) => row.bad)) throw new Error("rejected");
+        received.push(...rows);
+    });
+    socket.send('{"bad":true}');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    socket.send('{"x":1}');
+    socket.close();
+    await connection.done;
+    assert.deepStrictEqual(received, [{ x: 1 }]);
+    assert.strictEqual(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,54 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const d3 = require("d3");
+const { StreamingChart } = require("../lib.js")(d3);
+
+test("getData returns the points within an inclusive X range", () => {
+    const chart = new StreamingChart(null, { renderMode: "sync" });
+    chart.addData({ a: { x: [1, 2, 3, 4], y: [10, null, 30, 40] } });
+    assert.deepStrictEqual(chart.getData("a"), [{ x: 1, y: 10 }, { x: 2, y: NaN }, { x: 3, y: 30 }, { x: 4, y: 40 }]);
+    assert.deepStrictEqual(chart.getData("a", { xMin: 2, xMax: 3 }), [{ x: 2, y: NaN }, { x: 3, y: 30 }]);
+    assert.deepStrictEqual(chart.getData("a", { xMin: new Date(4) }), [{ x: 4, y: 40 }]);
+    assert.deepStrictEqual(chart.getData("unknown"), []);
+    chart.destroy();
+});
+
+test("getters return copies", () => {
+    const chart = new StreamingChart(null, { renderMode: "sync", series: { a: { label: "A" } }, yAxes: { right: {} } });
+    chart.addData({ a: { x: [1, 2], y: [10, 20] } });
+
+    chart.getData("a")[0].y = 99;
+    chart.getData("a").push({ x: 3, y: 30 });
+    assert.deepStrictEqual(chart.getData("a"), [{ x: 1, y: 10 }, { x: 2, y: 20 }]);
+
+    chart.getSeriesConfig("a").label = "changed";
+    assert.strictEqual(chart.getSeriesConfig("a").label, "A");
+    chart.getSeriesIds().push("b");
+    assert.deepStrictEqual(chart.getSeriesIds(), ["a"]);
+
+    const view = chart.getView();
+    view.xDomain[0] = -100;
+    view.yAxes.right[1] = 100;
+    assert.notStrictEqual(chart.getView().xDomain[0], -100);
+    assert.notStrictEqual(chart.getView().yAxes.right[1], 100);
+    chart.destroy();
+});
+
+test("getSeriesIds includes configured series without data; unknown series have no config", () => {
+    const chart = new StreamingChart(null, { renderMode: "sync", series: { a: {} } });
+    chart.addData({ b: { x: [1], y: [1] } });
+    assert.deepStrictEqual(chart.getSeriesIds(), ["a", "b"]);
+    assert.strictEqual(chart.getSeriesConfig("unknown"), null);
+    chart.destroy();
+});
+
+test("getView reports the follow state and returns null once destroyed", () => {
+    const chart = new StreamingChart(null, { renderMode: "sync", yAxes: { right: {} } });
+    const view = chart.getView();
+    assert.deepStrictEqual(Object.keys(view), ["xDomain", "yDomain", "yAxes", "following"]);
+    assert.deepStrictEqual(Object.keys(view.yAxes), ["right"]);
+    assert.strictEqual(view.following, true);
+    assert.strictEqual(chart.isFollowing(), true);
+    chart.destroy();
+    assert.strictEqual(chart.getView(), null);
+});
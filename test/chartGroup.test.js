@@ -0,0 +1,114 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const d3 = require("d3");
+const { createContainer, dispatchMouse } = require("./helpers/dom");
+const { StreamingChart, ChartGroup } = require("../lib.js")(d3);
+
+const containers = new Map(); // chart -> container
+
+// Charts with the same X range but different Y ranges
+function createCharts(count, config = {}) {
+    return Array.from({ length: count }, (_, i) => {
+        const container = createContainer();
+        const chart = new StreamingChart(container, { renderMode: "sync", ...config });
+        containers.set(chart, container);
+        chart.addData({ a: { x: [0, 5, 10], y: [0, 10 * (i + 1), 5] } });
+        return chart;
+    });
+}
+
+const xDomainOf = (chart) => chart.getView().xDomain;
+
+test("setView on one chart moves the X domain of the others, which auto-scale Y", () => {
+    const charts = createCharts(3);
+    new ChartGroup(charts);
+    const causes = charts.map((chart) => {
+        const list = [];
+        chart.on("viewchange", ({ cause }) => list.push(cause));
+        return list;
+    });
+
+    charts[0].setView({ xMin: 2, xMax: 6, yMin: -1, yMax: 1 });
+    charts.forEach((chart) => assert.deepStrictEqual(xDomainOf(chart), [2, 6]));
+    assert.deepStrictEqual(charts[0].getView().yDomain, [-1, 1]);
+    assert.ok(charts[1].getView().yDomain[1] > 10); // Its own data, not the source's Y range
+    assert.ok(charts.every((chart) => !chart.isFollowing()));
+    // No feedback loop: the source changed once, the others last on its view
+    assert.deepStrictEqual(causes[0], ["setView"]);
+    assert.ok(causes.slice(1).every((list) => list.length > 0 && list.every((cause) => cause === "setView")));
+    charts.forEach((chart) => chart.destroy());
+});
+
+test("Y-only changes and data-driven follow updates stay local", () => {
+    const charts = createCharts(2);
+    new ChartGroup(charts);
+    charts[0].addData({ a: { x: [20], y: [1] } });
+    assert.deepStrictEqual(xDomainOf(charts[0]), [0, 20]);
+    assert.deepStrictEqual(xDomainOf(charts[1]), [0, 10]);
+    assert.ok(charts[1].isFollowing());
+
+    charts[0].setView({ xMin: 0, xMax: 10 });
+    const yDomain = charts[1].getView().yDomain;
+    charts[0].setView({ yMin: 100, yMax: 200 });
+    assert.deepStrictEqual(charts[1].getView().yDomain, yDomain);
+    charts.forEach((chart) => chart.destroy());
+});
+
+test("follow mode is turned on and off across the group", () => {
+    const charts = createCharts(2);
+    charts[1].addData({ a: { x: [12], y: [1] } });
+    new ChartGroup(charts);
+
+    dispatchMouse(containers.get(charts[0]).querySelector(".follow-button"), "click");
+    assert.strictEqual(charts[1].isFollowing(), false);
+    assert.deepStrictEqual(xDomainOf(charts[1]), [0, 10]); // Frozen on the source's X domain
+
+    charts[0].resetView();
+    assert.strictEqual(charts[1].isFollowing(), true);
+    assert.deepStrictEqual(xDomainOf(charts[1]), [0, 12]);
+    charts.forEach((chart) => chart.destroy());
+});
+
+test("options pick what is linked", () => {
+    const charts = createCharts(2, { interactions: { tooltip: true } });
+    new ChartGroup(charts, { x: false, crosshair: true });
+    charts[0].setView({ xMin: 2, xMax: 6 });
+    assert.deepStrictEqual(xDomainOf(charts[1]), [0, 10]); // Frozen by the follow link, X not linked
+    assert.strictEqual(charts[1].isFollowing(), false);
+
+    const overlay = containers.get(charts[0]).querySelector(".zoom-overlay");
+    const linkedTooltip = containers.get(charts[1]).querySelector(".tooltip-layer");
+    dispatchMouse(overlay, "mousemove", { clientX: 300, clientY: 100 });
+    assert.notStrictEqual(linkedTooltip.style.display, "none");
+    dispatchMouse(overlay, "mouseleave");
+    assert.strictEqual(linkedTooltip.style.display, "none");
+    charts.forEach((chart) => chart.destroy());
+});
+
+test("removed and destroyed charts are unlinked", () => {
+    const charts = createCharts(3);
+    const group = new ChartGroup(charts);
+    group.remove(charts[1]);
+    charts[2].destroy();
+    assert.deepStrictEqual(group.getCharts(), [charts[0]]);
+
+    charts[0].setView({ xMin: 2, xMax: 6 });
+    assert.deepStrictEqual(xDomainOf(charts[1]), [0, 10]);
+    group.add(charts[1]).destroy();
+    charts[0].setView({ xMin: 1, xMax: 3 });
+    assert.deepStrictEqual(xDomainOf(charts[1]), [0, 10]);
+    assert.deepStrictEqual(group.getCharts(), []);
+    charts.slice(0, 2).forEach((chart) => chart.destroy());
+});
+
+test("linked view changes are not recorded in the other charts' history", () => {
+    const charts = createCharts(2);
+    new ChartGroup(charts);
+    charts[0].setView({ xMin: 2, xMax: 6 });
+    charts[0].setView({ xMin: 3, xMax: 5 });
+    assert.strictEqual(charts[1].undoView(), false);
+
+    assert.strictEqual(charts[0].undoView(), true); // Propagated like any other view change
+    assert.deepStrictEqual(xDomainOf(charts[1]), [2, 6]);
+    charts.forEach((chart) => chart.destroy());
+});
@@ -0,0 +1,209 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const d3 = require("d3");
+const { RingBuffer } = require("../src/ringBuffer");
+const { addSample, toSeriesColumns, getSeriesStats, normalizeValueFormat } = require("../src/data");
+const { DEFAULT_VALUE_FORMAT } = require("../src/tooltip");
+const { StreamingChart } = require("../lib.js")(d3);
+
+function createBuffer(points) {
+    const buffer = new RingBuffer();
+    points.forEach(([x, y]) => buffer.push(x, y));
+    return buffer;
+}
+
+test("getSeriesStats summarizes the samples inside the X window", () => {
+    const buffer = createBuffer([[0, 5], [1, 1], [2, null], [3, 9], [4, 3], [5, null]]);
+    assert.deepStrictEqual(getSeriesStats(buffer, [1, 4]), { last: 3, min: 1, max: 9, mean: 13 / 3 });
+    assert.deepStrictEqual(getSeriesStats(buffer, [10, 20]), { last: 3, min: NaN, max: NaN, mean: NaN });
+});
+
+test("getSeriesStats scans series holding late samples", () => {
+    const buffer = createBuffer([[0, 5], [3, 9], [1, 1], [4, 3]]);
+    assert.strictEqual(buffer.isSorted, false);
+    assert.deepStrictEqual(getSeriesStats(buffer, [1, 3]), { last: 3, min: 1, max: 9, mean: 5 });
+});
+
+test("getSeriesStats computes only the requested statistics", () => {
+    for (const points of [[[0, 2], [1, 4]], [[1, 4], [0, 2]]]) {
+        const buffer = createBuffer(points);
+        assert.deepStrictEqual(getSeriesStats(buffer, [0, 1], ["min", "max"]), { last: NaN, min: 2, max: 4, mean: NaN });
+        assert.deepStrictEqual(getSeriesStats(buffer, [0, 1], ["mean"]), { last: NaN, min: NaN, max: NaN, mean: 3 });
+    }
+});
+
+test("normalizeValueFormat replaces an invalid specifier by the default", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    assert.deepStrictEqual(normalizeValueFormat(d3, "a", { valueFormat: ".2f" }), { valueFormat: ".2f" });
+    assert.deepStrictEqual(normalizeValueFormat(d3, "a", { color: "red" }), { color: "red" });
+    assert.strictEqual(warn.mock.callCount(), 0);
+    assert.deepStrictEqual(normalizeValueFormat(d3, "a", { valueFormat: "abc" }), { valueFormat: DEFAULT_VALUE_FORMAT });
+    assert.strictEqual(warn.mock.callCount(), 1);
+});
+
+test("an invalid valueFormat is rejected when the series is configured", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const chart = new StreamingChart(null, { series: { a: { valueFormat: "abc" } } });
+    assert.strictEqual(chart.getSeriesConfig("a").valueFormat, DEFAULT_VALUE_FORMAT);
+    chart.updateSeriesConfig("a", { valueFormat: ".1f" });
+    chart.updateSeriesConfig("a", { valueFormat: "%%" });
+    assert.strictEqual(chart.getSeriesConfig("a").valueFormat, DEFAULT_VALUE_FORMAT);
+    assert.strictEqual(warn.mock.callCount(), 2);
+    chart.destroy();
+});
+
+test("series keep the newest maxDataPointsPerSeries samples in order", () => {
+    const chart = new StreamingChart(null, { renderMode: "sync", maxDataPointsPerSeries: 3 });
+    chart.addData({ a: { x: [1, 2], y: [10, 20] } });
+    chart.addData({ a: { x: [3, 4, 5], y: [30, 40, 50] } });
+    assert.deepStrictEqual(chart.getData("a"), [{ x: 3, y: 30 }, { x: 4, y: 40 }, { x: 5, y: 50 }]);
+    chart.addData({ a: { x: [6], y: [60] } });
+    assert.deepStrictEqual(chart.getData("a"), [{ x: 4, y: 40 }, { x: 5, y: 50 }, { x: 6, y: 60 }]);
+    chart.destroy();
+});
+
+test("changing maxDataPointsPerSeries resizes the stored series", () => {
+    const chart = new StreamingChart(null, { renderMode: "sync", maxDataPointsPerSeries: 4 });
+    chart.addData({ a: { x: [1, 2, 3, 4, 5], y: [1, 2, 3, 4, 5] } });
+    chart.updateChartConfig({ maxDataPointsPerSeries: 2 });
+    assert.deepStrictEqual(chart.getData("a").map((point) => point.x), [4, 5]);
+    chart.updateChartConfig({ maxDataPointsPerSeries: null }); // Unlimited
+    chart.addData({ a: { x: [6, 7, 8], y: [6, 7, 8] } });
+    assert.deepStrictEqual(chart.getData("a").map((point) => point.x), [4, 5, 6, 7, 8]);
+    chart.destroy();
+});
+
+test("maxDataAge drops samples older than the latest X of all series", () => {
+    const chart = new StreamingChart(null, { renderMode: "sync", maxDataAge: 10 });
+    chart.addData({ a: { x: [0, 5, 10], y: [0, 5, 10] }, b: { x: [0, 8], y: [0, 8] } });
+    assert.deepStrictEqual(chart.getData("a").map((point) => point.x), [0, 5, 10]);
+    chart.addData({ a: { x: [16], y: [16] } });
+    assert.deepStrictEqual(chart.getData("a").map((point) => point.x), [10, 16]);
+    assert.deepStrictEqual(chart.getData("b").map((point) => point.x), [8]); // Aged by series a
+    chart.destroy();
+});
+
+test("a series maxDataAge overrides the chart's and combines with the point cap", () => {
+    const chart = new StreamingChart(null, {
+        renderMode: "sync",
+        maxDataAge: 100,
+        maxDataPointsPerSeries: 3,
+        series: { fast: { maxDataAge: 2 } }
+    });
+    const xs = [0, 1, 2, 3, 4, 5];
+    chart.addData({ fast: { x: xs, y: xs }, slow: { x: xs, y: xs } });
+    assert.deepStrictEqual(chart.getData("fast").map((point) => point.x), [3, 4, 5]);
+    assert.deepStrictEqual(chart.getData("slow").map((point) => point.x), [3, 4, 5]); // Point cap first
+    chart.updateSeriesConfig("fast", { maxDataAge: 1 });
+    assert.deepStrictEqual(chart.getData("fast").map((point) => point.x), [4, 5]);
+    chart.destroy();
+});
+
+test("changing maxDataAge with updateChartConfig prunes right away; durations are accepted", () => {
+    const chart = new StreamingChart(null, { renderMode: "sync", xAxis: { type: "time" } });
+    const start = Date.UTC(2024, 0, 1);
+    const xs = [0, 30, 60, 90, 120].map((seconds) => start + seconds * 1000);
+    chart.addData({ a: { x: xs, y: [1, 2, 3, 4, 5] } });
+    chart.updateChartConfig({ maxDataAge: "1m" });
+    assert.deepStrictEqual(chart.getData("a").map((point) => point.y), [3, 4, 5]);
+    chart.destroy();
+});
+
+// Adds [x, y] samples to a new buffer and returns the `addSample` outcomes
+function addSamples(buffer, samples, seriesConfig) {
+    return samples.map(([x, y]) => addSample(buffer, x, y, seriesConfig));
+}
+
+test("addSample places late samples according to the series ordering", () => {
+    const late = [[1, 1], [3, 3], [2, 2]];
+    const appended = new RingBuffer();
+    assert.deepStrictEqual(addSamples(appended, late), ["appended", "appended", "late"]);
+    assert.deepStrictEqual(appended.toArray().map((point) => point.x), [1, 3, 2]);
+
+    const sorted = new RingBuffer();
+    assert.deepStrictEqual(addSamples(sorted, late, { ordering: "sorted" }), ["appended", "appended", "inserted"]);
+    assert.deepStrictEqual(sorted.toArray().map((point) => point.x), [1, 2, 3]);
+
+    const dropped = new RingBuffer();
+    assert.deepStrictEqual(addSamples(dropped, late, { ordering: "dropLate" }), ["appended", "appended", "droppedLate"]);
+    assert.deepStrictEqual(dropped.toArray().map((point) => point.x), [1, 3]);
+
+    const full = new RingBuffer(2);
+    assert.deepStrictEqual(addSamples(full, [[5, 5], [6, 6], [4, 4]], { ordering: "sorted" }), ["appended", "appended", "droppedLate"]);
+});
+
+test("addSample applies the duplicateX policy to the newest and to inserted samples", () => {
+    const samples = [[1, 1], [2, 2], [2, 20], [1, 10]];
+    const kept = new RingBuffer();
+    addSamples(kept, samples, { ordering: "sorted" });
+    assert.deepStrictEqual(kept.toArray().map((point) => point.y), [1, 10, 2, 20]);
+
+    const replaced = new RingBuffer();
+    assert.deepStrictEqual(addSamples(replaced, samples, { ordering: "sorted", duplicateX: "replace" }),
+        ["appended", "appended", "replaced", "replaced"]);
+    assert.deepStrictEqual(replaced.toArray(), [{ x: 1, y: 10 }, { x: 2, y: 20 }]);
+
+    const dropped = new RingBuffer();
+    assert.deepStrictEqual(addSamples(dropped, samples, { duplicateX: "drop" }),
+        ["appended", "appended", "droppedDuplicate", "droppedDuplicate"]);
+    assert.deepStrictEqual(dropped.toArray(), [{ x: 1, y: 1 }, { x: 2, y: 2 }]);
+});
+
+test("late and duplicate samples are reported with debug only; unknown policies warn", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const series = { a: { ordering: "sorted", duplicateX: "drop" } };
+    const quiet = new StreamingChart(null, { renderMode: "sync", series });
+    quiet.addData({ a: { x: [1, 3, 2, 3], y: [1, 3, 2, 30] } });
+    assert.deepStrictEqual(quiet.getData("a").map((point) => point.y), [1, 2, 3]);
+    assert.strictEqual(warn.mock.callCount(), 0);
+    quiet.destroy();
+
+    const verbose = new StreamingChart(null, { renderMode: "sync", debug: true, series });
+    t.mock.method(console, "log", () => {});
+    verbose.addData({ a: { x: [1, 3, 2, 3], y: [1, 3, 2, 30] } });
+    assert.strictEqual(warn.mock.calls.at(-1).arguments[0],
+        "Series a: samples 1 arrived late (inserted in order), 1 had a duplicate X (dropped).");
+
+    verbose.updateSeriesConfig("a", { ordering: "backwards" });
+    assert.match(warn.mock.calls.at(-1).arguments[0], /Unknown ordering "backwards"/);
+    verbose.destroy();
+});
+
+test("toSeriesColumns reads rows and shared-X input without copying columns", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const rows = [{ t: 1, temp: 20, pressure: 100 }, { t: 2, temp: 21 }, { temp: 22 }];
+    assert.deepStrictEqual(toSeriesColumns(rows, "t"), {
+        temp: { x: [1, 2], y: [20, 21] },
+        pressure: { x: [1], y: [100] }
+    });
+    assert.strictEqual(warn.mock.callCount(), 1); // The row without "t"
+
+    const x = Float64Array.from([1, 2]);
+    const a = Float32Array.from([10, 20]);
+    const columns = toSeriesColumns({ x, series: { a, b: [30, 40] } });
+    assert.strictEqual(columns.a.x, x);
+    assert.strictEqual(columns.b.x, x);
+    assert.strictEqual(columns.a.y, a);
+
+    const perSeries = { a: { x: [1], y: [2] } };
+    assert.strictEqual(toSeriesColumns(perSeries), perSeries);
+});
+
+test("addData accepts typed arrays, rows with the configured xKey and shared X", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const chart = new StreamingChart(null, { renderMode: "sync", xKey: "t" });
+    chart.addData({ a: { x: Float64Array.from([1, 2]), y: Float32Array.from([0.5, NaN]) } });
+    chart.addData([{ t: 3, a: 3, b: 30 }]);
+    chart.addData({ x: [4, 5], series: { a: Int16Array.from([4, 5]), b: [40, 50] } });
+    assert.deepStrictEqual(chart.getData("a"), [
+        { x: 1, y: 0.5 }, { x: 2, y: NaN }, { x: 3, y: 3 }, { x: 4, y: 4 }, { x: 5, y: 5 }
+    ]);
+    assert.deepStrictEqual(chart.getData("b").map((point) => point.y), [30, 40, 50]);
+    assert.strictEqual(warn.mock.callCount(), 0);
+
+    chart.addData({ c: { x: new DataView(new ArrayBuffer(8)), y: [1] } });
+    chart.addData({ c: { x: [1, 2], y: [1] } });
+    assert.strictEqual(warn.mock.callCount(), 2);
+    assert.deepStrictEqual(chart.getData("c"), []);
+    chart.destroy();
+});
@@ -0,0 +1,86 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const d3 = require("d3");
+const { toCSV, parseCSV, toJSON, detectDataFormat } = require("../src/dataExport");
+const { StreamingChart } = require("../lib.js")(d3);
+
+const ODD_IDS = ["temp, °C", 'say "hi"', "line 1\nline 2", "plain"];
+
+test("toCSV writes a wide table aligned on X", () => {
+    const csv = toCSV({
+        a: [{ x: 1, y: 10 }, { x: 2, y: NaN }, { x: 2, y: 12 }],
+        b: [{ x: 0, y: 5 }, { x: 2, y: 6 }]
+    }, "t");
+    assert.strictEqual(csv, "t,a,b\n0,,5\n1,10,\n2,NaN,6\n2,12,\n");
+});
+
+test("parseCSV reads empty fields as no sample and NaN/null as missing values", () => {
+    const columns = parseCSV("t,a,b\r\n0,,5\r\n\r\n1,10,null\n2,NaN,6");
+    assert.deepStrictEqual(columns, {
+        a: { x: [1, 2], y: [10, NaN] },
+        b: { x: [0, 1, 2], y: [5, null, 6] }
+    });
+});
+
+test("parseCSV skips records without a numeric X value", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    assert.deepStrictEqual(parseCSV("x,a\nabc,1\n,2\n3,4\n"), { a: { x: [3], y: [4] } });
+    assert.strictEqual(warn.mock.callCount(), 2);
+});
+
+test("series ids with commas, quotes and line breaks survive toCSV and parseCSV", () => {
+    const seriesData = {};
+    ODD_IDS.forEach((seriesId, i) => {
+        seriesData[seriesId] = [{ x: 1, y: i }, { x: 2, y: i + 0.5 }];
+    });
+    const columns = parseCSV(toCSV(seriesData));
+    assert.deepStrictEqual(Object.keys(columns), ODD_IDS);
+    ODD_IDS.forEach((seriesId, i) => {
+        assert.deepStrictEqual(columns[seriesId], { x: [1, 2], y: [i, i + 0.5] });
+    });
+});
+
+test("toJSON writes addData columns with null for missing values", () => {
+    const json = toJSON({ a: [{ x: 1, y: 2 }, { x: 2, y: NaN }] });
+    assert.strictEqual(json, '{"a":{"x":[1,2],"y":[2,null]}}');
+    assert.strictEqual(detectDataFormat(json), "json");
+    assert.strictEqual(detectDataFormat("x,a\n1,2\n"), "csv");
+});
+
+for (const format of ["csv", "json"]) {
+    test(`exportData and importData round-trip the buffered series as ${format}`, () => {
+        const source = new StreamingChart(null);
+        ODD_IDS.forEach((seriesId, i) => {
+            source.addData({ [seriesId]: { x: [1, 2, 3], y: [i, null, i * 2] } });
+        });
+        const dump = source.exportData({ format });
+
+        const target = new StreamingChart(null);
+        target.importData(dump);
+        assert.deepStrictEqual(target.getSeriesIds(), ODD_IDS);
+        ODD_IDS.forEach((seriesId) => {
+            assert.deepStrictEqual(target.getData(seriesId), source.getData(seriesId));
+        });
+        source.destroy();
+        target.destroy();
+    });
+}
+
+test("exportData keeps the requested series and X range", () => {
+    const chart = new StreamingChart(null);
+    chart.addData({ a: { x: [1, 2, 3, 4], y: [1, 2, 3, 4] }, b: { x: [1, 2], y: [5, 6] } });
+    assert.strictEqual(chart.exportData({ seriesIds: ["a"], xMin: 2, xMax: 3 }), "x,a\n2,2\n3,3\n");
+    assert.strictEqual(chart.exportData({ format: "json", seriesIds: ["b"], xMin: 2 }), '{"b":{"x":[2],"y":[6]}}');
+    chart.destroy();
+});
+
+test("unknown formats and unparsable dumps are rejected with a warning", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const chart = new StreamingChart(null);
+    assert.strictEqual(chart.exportData({ format: "xml" }), null);
+    chart.importData("{ not json");
+    chart.importData("x,a\n1,2\n", { format: "xml" });
+    assert.deepStrictEqual(chart.getSeriesIds(), []);
+    assert.strictEqual(warn.mock.callCount(), 3);
+    chart.destroy();
+});
@@ -0,0 +1,73 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const d3 = require("d3");
+const { RingBuffer } = require("../src/ringBuffer");
+const { defaultConfig } = require("../src/config");
+const { getVisibleRange, getRenderData, insertGaps, GAP_INDEX } = require("../src/downsampling");
+
+// 0..2999, one late sample at x = 10 (kept in arrival order), then 3000..5999
+function createBufferWithLateSample() {
+    const buffer = new RingBuffer();
+    for (let x = 0; x < 3000; x++) buffer.push(x, Math.sin(x / 50));
+    buffer.push(10, 0);
+    for (let x = 3000; x < 6000; x++) buffer.push(x, Math.sin(x / 50));
+    return buffer;
+}
+
+// Kept samples whose X lies inside the window
+function countVisible(buffer, indices, [minX, maxX]) {
+    return indices.filter((i) => i !== GAP_INDEX && buffer.x(i) >= minX && buffer.x(i) <= maxX).length;
+}
+
+test("getVisibleRange keeps one sample on each side of the window", () => {
+    const buffer = new RingBuffer();
+    for (let x = 0; x < 100; x++) buffer.push(x, x);
+    assert.deepStrictEqual(getVisibleRange(buffer, [10.5, 20.5]), [10, 22]);
+    assert.deepStrictEqual(getVisibleRange(buffer, [200, 300]), [99, 100]);
+});
+
+test("getVisibleRange scans buffers holding late samples", () => {
+    const buffer = createBufferWithLateSample();
+    assert.strictEqual(buffer.isSorted, false);
+    const [start, end] = getVisibleRange(buffer, [1000, 2000]);
+    assert.ok(start <= 999 && end >= 2002, `range [${start}, ${end}) misses the window`);
+
+    // Only the segment crossing the window counts when no sample is inside it
+    const sparse = new RingBuffer();
+    [0, 100, 50, 200].forEach((x) => sparse.push(x, 1));
+    assert.deepStrictEqual(getVisibleRange(sparse, [120, 150]), [2, 4]);
+    assert.deepStrictEqual(getVisibleRange(sparse, [300, 400]), [0, 0]);
+});
+
+for (const method of ["m4", "lttb"]) {
+    test(`${method} keeps the visible samples of a zoomed series holding a late sample`, () => {
+        const buffer = createBufferWithLateSample();
+        const xDomain = [1000, 2000];
+        const xScale = d3.scaleLinear().domain(xDomain).range([0, 200]);
+        const config = { ...defaultConfig, downsampling: method };
+        const { indices } = getRenderData(d3, { a: buffer }, { a: {} }, config, xScale, 200).a;
+        assert.ok(indices.length < buffer.length, "the series is decimated");
+        assert.ok(countVisible(buffer, indices, xDomain) >= 100, "the window is drawn");
+    });
+}
+
+test("insertGaps breaks the series at skipped values and at jumps over gapThreshold", () => {
+    const buffer = new RingBuffer();
+    [[0, 1], [1, NaN], [2, 3], [3, 4], [10, 5], [11, 6]].forEach(([x, y]) => buffer.push(x, y));
+    const isDrawable = (y) => !isNaN(y);
+    const drawable = [0, 2, 3, 4, 5];
+    assert.deepStrictEqual(insertGaps(buffer, drawable, isDrawable, Infinity), [0, GAP_INDEX, 2, 3, 4, 5]);
+    assert.deepStrictEqual(insertGaps(buffer, drawable, isDrawable, 5), [0, GAP_INDEX, 2, 3, GAP_INDEX, 4, 5]);
+});
+
+test("getRenderData reads gapThreshold per series, durations included", () => {
+    const buffer = new RingBuffer();
+    const minute = 60 * 1000;
+    [0, 1, 2, 12, 13].forEach((m) => buffer.push(m * minute, m));
+    const xScale = d3.scaleUtc().domain([0, 13 * minute]).range([0, 800]);
+    const indicesOf = (seriesConfig) =>
+        getRenderData(d3, { a: buffer }, { a: seriesConfig }, defaultConfig, xScale, 800).a.indices;
+    assert.deepStrictEqual(indicesOf({}), [0, 1, 2, 3, 4]);
+    assert.deepStrictEqual(indicesOf({ gapThreshold: "5m" }), [0, 1, 2, GAP_INDEX, 3, 4]);
+    assert.deepStrictEqual(indicesOf({ gapThreshold: 5 * minute }), [0, 1, 2, GAP_INDEX, 3, 4]);
+});
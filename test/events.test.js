@@ -0,0 +1,118 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const d3 = require("d3");
+const { createContainer, resizeContainer, dispatchMouse } = require("./helpers/dom");
+const { addListener, removeListener, emitEvent } = require("../src/events");
+const { StreamingChart } = require("../lib.js")(d3);
+
+function createChart(config) {
+    const container = createContainer();
+    const chart = new StreamingChart(container, { renderMode: "sync", ...config });
+    return { chart, container };
+}
+
+// Records the payloads of the given events, in order, as [eventName, payload]
+function record(chart, eventNames) {
+    const events = [];
+    eventNames.forEach((eventName) => chart.on(eventName, (payload) => events.push([eventName, payload])));
+    return events;
+}
+
+test("the registry rejects unknown events and non-function handlers", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const listeners = {};
+    assert.strictEqual(addListener(listeners, "zoom", () => {}), false);
+    assert.strictEqual(addListener(listeners, "resize", "handler"), false);
+    assert.deepStrictEqual(listeners, {});
+    assert.strictEqual(warn.mock.callCount(), 2);
+});
+
+test("a throwing handler does not keep the others from running, nor does off() while emitting", (t) => {
+    const error = t.mock.method(console, "error", () => {});
+    const listeners = {};
+    const calls = [];
+    const once = () => {
+        calls.push("once");
+        removeListener(listeners, "resize", once);
+    };
+    addListener(listeners, "resize", once);
+    addListener(listeners, "resize", () => {
+        throw new Error("broken");
+    });
+    addListener(listeners, "resize", (payload) => calls.push(payload.width));
+    emitEvent(listeners, "resize", { width: 1 });
+    emitEvent(listeners, "resize", { width: 2 });
+    assert.deepStrictEqual(calls, ["once", 1, 2]);
+    assert.strictEqual(error.mock.callCount(), 2);
+
+    removeListener(listeners, "resize");
+    emitEvent(listeners, "resize", { width: 3 });
+    assert.deepStrictEqual(calls, ["once", 1, 2]);
+});
+
+test("seriesadded fires when a series receives its first data, headless too", () => {
+    const chart = new StreamingChart(null, { series: { a: { label: "A" } } });
+    const events = record(chart, ["seriesadded"]);
+    chart.addData({ a: { x: [0], y: [1] }, b: { x: [0], y: [2] } });
+    chart.addData({ b: { x: [1], y: [3] } });
+    assert.deepStrictEqual(events.map(([, payload]) => payload.seriesId), ["a", "b"]);
+    assert.deepStrictEqual(events.map(([, payload]) => payload.config.label), ["A", "b"]);
+    chart.destroy();
+});
+
+test("setView and resetView report the view and follow changes with their cause", () => {
+    const { chart } = createChart();
+    chart.addData({ a: { x: [0, 10], y: [0, 1] } });
+    const events = record(chart, ["viewchange", "followchange"]);
+    chart.setView({ xMin: 2, xMax: 4 });
+    chart.resetView();
+    assert.deepStrictEqual(events.map(([eventName, payload]) => [eventName, payload.cause, payload.following]), [
+        ["followchange", "setView", false],
+        ["viewchange", "setView", false],
+        ["followchange", "resetView", true],
+        ["viewchange", "resetView", true]
+    ]);
+    assert.deepStrictEqual(events[1][1].xDomain, [2, 4]);
+    assert.deepStrictEqual(Object.keys(events[1][1]).sort(), ["cause", "following", "xDomain", "yAxes", "yDomain"]);
+    chart.destroy();
+});
+
+test("clicking the follow button reports a followchange", () => {
+    const { chart, container } = createChart();
+    chart.addData({ a: { x: [0, 10], y: [0, 1] } });
+    const events = record(chart, ["followchange"]);
+    dispatchMouse(container.querySelector(".follow-button"), "click");
+    dispatchMouse(container.querySelector(".follow-button"), "click");
+    assert.deepStrictEqual(events.map(([, payload]) => [payload.following, payload.cause]), [[false, "button"], [true, "button"]]);
+    chart.destroy();
+});
+
+test("resize, legendclick and destroy events", () => {
+    const { chart, container } = createChart();
+    chart.addData({ a: { x: [0, 10], y: [0, 1] } });
+    const events = record(chart, ["resize", "legendclick", "destroy"]);
+
+    resizeContainer(container, 600, 300);
+    assert.strictEqual(events[0][0], "resize");
+    assert.ok(events[0][1].width < 600 && events[0][1].height < 300);
+
+    dispatchMouse(container.querySelector(".legend-item"), "click");
+    assert.strictEqual(events[1][0], "legendclick");
+    assert.strictEqual(events[1][1].seriesId, "a");
+
+    chart.destroy();
+    chart.destroy();
+    assert.deepStrictEqual(events.slice(2), [["destroy", {}]]);
+});
+
+test("off() removes a handler", () => {
+    const { chart } = createChart();
+    const events = [];
+    const handler = (payload) => events.push(payload.cause);
+    chart.on("viewchange", handler);
+    chart.setView({ xMin: 0, xMax: 1 });
+    chart.off("viewchange", handler);
+    chart.setView({ xMin: 0, xMax: 2 });
+    assert.deepStrictEqual(events, ["setView"]);
+    chart.destroy();
+});
@@ -0,0 +1,96 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const d3 = require("d3");
+const { window, createContainer } = require("./helpers/dom");
+const { StreamingChart } = require("../lib.js")(d3);
+
+function createChart(config) {
+    const chart = new StreamingChart(createContainer(), { renderMode: "sync", ...config });
+    chart.addData({ a: { x: [0, 1, 2], y: [1, 3, 2] } });
+    return chart;
+}
+
+const parseSVG = (markup) => new window.DOMParser().parseFromString(markup, "image/svg+xml").documentElement;
+
+test("exportSVG returns a standalone SVG without the interactive parts", () => {
+    const chart = createChart({ series: { a: { color: "#ff0000" } } });
+    const markup = chart.exportSVG();
+    assert.ok(markup.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg"'));
+    const svg = parseSVG(markup);
+    assert.strictEqual(svg.getAttribute("viewBox"), "0 0 800 400");
+    assert.strictEqual(svg.querySelector(".export-background").getAttribute("fill"), "white");
+    assert.strictEqual(svg.querySelector("path.series-line").getAttribute("stroke"), "#ff0000");
+    assert.ok(svg.querySelector(".x-axis"));
+    assert.strictEqual(svg.querySelectorAll(".legend-item").length, 1);
+    for (const selector of [".follow-button", ".zoom-overlay", ".tooltip-layer"]) {
+        assert.strictEqual(svg.querySelector(selector), null, selector);
+    }
+    assert.strictEqual(parseSVG(chart.exportSVG({ background: null })).querySelector(".export-background"), null);
+    chart.destroy();
+});
+
+test("exportSVG inlines the styles the page gives the chart", (t) => {
+    const style = document.createElement("style");
+    style.textContent = ".series-line { stroke-dasharray: 4 2; }";
+    document.head.appendChild(style);
+    t.after(() => style.remove());
+    const chart = createChart();
+    const path = parseSVG(chart.exportSVG()).querySelector("path.series-line");
+    assert.strictEqual(path.style.getPropertyValue("stroke-dasharray"), "4 2");
+    chart.destroy();
+});
+
+test("exportSVG includes data waiting for a frame and series drawn on the canvas", (t) => {
+    t.mock.method(window.HTMLCanvasElement.prototype, "getContext", () => new Proxy({}, { get: () => () => {} }));
+    const chart = createChart({ renderingHint: "performance" });
+    const svg = parseSVG(chart.exportSVG());
+    assert.strictEqual(svg.querySelectorAll("path.series-line").length, 1);
+    chart.destroy();
+
+    globalThis.requestAnimationFrame = () => 1;
+    globalThis.cancelAnimationFrame = () => {};
+    t.after(() => {
+        delete globalThis.requestAnimationFrame;
+        delete globalThis.cancelAnimationFrame;
+    });
+    const framed = new StreamingChart(createContainer(), { renderMode: "frame" });
+    framed.addData({ a: { x: [0, 1], y: [1, 2] } });
+    assert.strictEqual(parseSVG(framed.exportSVG()).querySelectorAll("path.series-line").length, 1);
+    framed.destroy();
+});
+
+test("exportPNG rasterizes the SVG at the requested scale", async (t) => {
+    const drawn = {};
+    globalThis.Image = class {
+        set src(value) {
+            drawn.src = value;
+            setTimeout(() => this.onload());
+        }
+    };
+    t.after(() => delete globalThis.Image);
+    t.mock.method(window.HTMLCanvasElement.prototype, "getContext", () => ({
+        scale: (x, y) => { drawn.scale = [x, y]; },
+        drawImage: (image, x, y, width, height) => { drawn.size = [width, height]; }
+    }));
+    t.mock.method(window.HTMLCanvasElement.prototype, "toBlob", function (callback, type) {
+        drawn.canvas = [this.width, this.height];
+        callback(new Blob([], { type }));
+    });
+    const chart = createChart();
+    const blob = await chart.exportPNG({ scale: 2 });
+    assert.strictEqual(blob.type, "image/png");
+    assert.deepStrictEqual(drawn.canvas, [1600, 800]);
+    assert.deepStrictEqual(drawn.scale, [2, 2]);
+    assert.deepStrictEqual(drawn.size, [800, 400]);
+    assert.ok(drawn.src.startsWith("data:image/svg+xml;charset=utf-8,"));
+    chart.destroy();
+});
+
+test("exports return null in headless mode and after destroy", async () => {
+    const headless = new StreamingChart(null);
+    assert.strictEqual(headless.exportSVG(), null);
+    assert.strictEqual(await headless.exportPNG(), null);
+    const chart = createChart();
+    chart.destroy();
+    assert.strictEqual(chart.exportSVG(), null);
+});
@@ -0,0 +1,72 @@
+// Minimal browser environment (jsdom) for tests that render a chart into a container
+const { JSDOM } = require("jsdom");
+
+const { window } = new JSDOM("<!DOCTYPE html><body></body>", { pretendToBeVisual: true });
+const resizeObservers = new Set();
+
+// jsdom does no layout: give SVG text a size and stub what the chart observes
+window.SVGElement.prototype.getBBox = function () {
+    return { x: 0, y: 0, width: 6 * (this.textContent || "").length, height: 12 };
+};
+window.SVGElement.prototype.getComputedTextLength = function () {
+    return 6 * (this.textContent || "").length;
+};
+Object.assign(globalThis, {
+    window,
+    document: window.document,
+    HTMLElement: window.HTMLElement,
+    getComputedStyle: window.getComputedStyle.bind(window),
+    ResizeObserver: class {
+        constructor(callback) {
+            this.callback = callback;
+        }
+        observe(target) {
+            this.target = target;
+            resizeObservers.add(this);
+        }
+        disconnect() {
+            resizeObservers.delete(this);
+        }
+    }
+});
+Object.defineProperty(globalThis, "navigator", { value: window.navigator, configurable: true });
+
+/**
+ * Appends a container of the given size to the document.
+ * @param {number} [width=800] - Client width in pixels.
+ * @param {number} [height=400] - Client height in pixels.
+ * @returns {HTMLElement}
+ */
+function createContainer(width = 800, height = 400) {
+    const element = window.document.createElement("div");
+    Object.defineProperty(element, "clientWidth", { value: width, writable: true });
+    Object.defineProperty(element, "clientHeight", { value: height, writable: true });
+    window.document.body.appendChild(element);
+    return element;
+}
+
+/**
+ * Resizes a container made by `createContainer` and notifies its resize observers.
+ * @param {HTMLElement} element - The container.
+ * @param {number} width - New client width in pixels.
+ * @param {number} height - New client height in pixels.
+ */
+function resizeContainer(element, width, height) {
+    element.clientWidth = width;
+    element.clientHeight = height;
+    [...resizeObservers]
+        .filter((observer) => observer.target === element)
+        .forEach((observer) => observer.callback([{ target: element, contentRect: { width, height } }], observer));
+}
+
+/**
+ * Dispatches a mouse event on an element.
+ * @param {Element} element - The event target.
+ * @param {string} type - The event type, e.g. "mousemove".
+ * @param {object} [init] - MouseEvent options (clientX, clientY, shiftKey...).
+ */
+function dispatchMouse(element, type, init = {}) {
+    element.dispatchEvent(new window.MouseEvent(type, { bubbles: true, cancelable: true, view: window, ...init }));
+}
+
+module.exports = { window, createContainer, resizeContainer, dispatchMouse };
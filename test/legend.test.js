@@ -0,0 +1,168 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const d3 = require("d3");
+const { createContainer, dispatchMouse } = require("./helpers/dom");
+const { StreamingChart } = require("../lib.js")(d3);
+
+function createChart(config) {
+    const container = createContainer();
+    const chart = new StreamingChart(container, { renderMode: "sync", ...config });
+    return { chart, container };
+}
+
+// The legend item, or the series group, of a series
+const legendItemOf = (container, seriesId) =>
+    [...container.querySelectorAll(".legend-item")].find((item) => item.__data__[0] === seriesId);
+const seriesGroupOf = (container, seriesId) =>
+    [...container.querySelectorAll("g.series")].find((group) => group.__data__[0] === seriesId);
+
+test("clicking a legend item hides the series and drops it from the Y auto-range", () => {
+    const { chart, container } = createChart();
+    chart.addData({ a: { x: [0, 1], y: [0, 1] }, b: { x: [0, 1], y: [0, 100] } });
+    assert.ok(chart.getView().yDomain[1] >= 100);
+
+    dispatchMouse(legendItemOf(container, "b"), "click");
+    assert.strictEqual(chart.getSeriesConfig("b").visible, false);
+    assert.strictEqual(seriesGroupOf(container, "b"), undefined);
+    assert.ok(chart.getView().yDomain[1] < 100);
+    assert.strictEqual(legendItemOf(container, "b").getAttribute("opacity"), "0.4");
+
+    dispatchMouse(legendItemOf(container, "b"), "click");
+    assert.strictEqual(chart.getSeriesConfig("b").visible, true);
+    assert.ok(seriesGroupOf(container, "b"));
+    chart.destroy();
+});
+
+test("double-clicking a legend item isolates the series, and again shows all", () => {
+    const { chart, container } = createChart();
+    chart.addData({ a: { x: [0], y: [0] }, b: { x: [0], y: [1] }, c: { x: [0], y: [2] } });
+    const visibility = () => chart.getSeriesIds().map((seriesId) => chart.getSeriesConfig(seriesId).visible);
+
+    dispatchMouse(legendItemOf(container, "b"), "dblclick");
+    assert.deepStrictEqual(visibility(), [false, true, false]);
+    dispatchMouse(legendItemOf(container, "b"), "dblclick");
+    assert.deepStrictEqual(visibility(), [true, true, true]);
+    chart.destroy();
+});
+
+test("hovering a legend item highlights its series and dims the others", () => {
+    const { chart, container } = createChart({ series: { a: { lineWidth: 2 } } });
+    chart.addData({ a: { x: [0, 1], y: [0, 1] }, b: { x: [0, 1], y: [1, 0] } });
+
+    dispatchMouse(legendItemOf(container, "a"), "mouseenter");
+    assert.strictEqual(chart.getSeriesConfig("a").highlighted, true);
+    assert.strictEqual(seriesGroupOf(container, "a").getAttribute("opacity"), null);
+    assert.strictEqual(seriesGroupOf(container, "b").getAttribute("opacity"), "0.2");
+    assert.strictEqual(seriesGroupOf(container, "a").querySelector(".series-line").getAttribute("stroke-width"), "3");
+
+    dispatchMouse(legendItemOf(container, "a"), "mouseleave");
+    assert.strictEqual(chart.getSeriesConfig("a").highlighted, false);
+    assert.strictEqual(seriesGroupOf(container, "b").getAttribute("opacity"), null);
+    chart.destroy();
+});
+
+test("legend.interactive false keeps the legend decorative, legendclick still fires", () => {
+    const { chart, container } = createChart({ legend: { interactive: false } });
+    chart.addData({ a: { x: [0], y: [0] } });
+    const clicked = [];
+    chart.on("legendclick", ({ seriesId }) => clicked.push(seriesId));
+    dispatchMouse(legendItemOf(container, "a"), "click");
+    dispatchMouse(legendItemOf(container, "a"), "mouseenter");
+    assert.deepStrictEqual(clicked, ["a"]);
+    assert.strictEqual(chart.getSeriesConfig("a").visible, true);
+    assert.strictEqual(chart.getSeriesConfig("a").highlighted, false);
+    chart.destroy();
+});
+
+test("visibility and highlighting can be set programmatically", () => {
+    const { chart, container } = createChart();
+    chart.addData({ a: { x: [0], y: [0] }, b: { x: [0], y: [1] } });
+    chart.updateSeriesConfig("a", { visible: false });
+    assert.strictEqual(seriesGroupOf(container, "a"), undefined);
+    chart.updateSeriesConfig("b", { highlighted: true });
+    assert.strictEqual(legendItemOf(container, "b").querySelector("text").style.textDecoration, "underline");
+    chart.destroy();
+});
+
+const transformsOf = (container) =>
+    [...container.querySelectorAll(".legend-item")].map((item) => item.getAttribute("transform"));
+const plotSizeOf = (container) => {
+    const overlay = container.querySelector(".zoom-overlay");
+    return [+overlay.getAttribute("width"), +overlay.getAttribute("height")];
+};
+
+test('"right" and "bottom" legends are placed outside the plot, which shrinks', () => {
+    const data = { a: { x: [0], y: [0] }, b: { x: [0], y: [1] }, c: { x: [0], y: [2] } };
+    const { chart, container } = createChart();
+    chart.addData(data);
+    const [width, height] = plotSizeOf(container);
+
+    chart.updateChartConfig({ legend: { position: "right" } });
+    assert.ok(plotSizeOf(container)[0] < width);
+    assert.strictEqual(plotSizeOf(container)[1], height);
+    assert.deepStrictEqual(transformsOf(container), ["translate(0, 0)", "translate(0, 20)", "translate(0, 40)"]);
+
+    chart.updateChartConfig({ legend: { position: "bottom" } });
+    assert.deepStrictEqual(plotSizeOf(container), [width, height - 30]); // One row of items
+    assert.deepStrictEqual(transformsOf(container), ["translate(0, 0)", "translate(36, 0)", "translate(72, 0)"]);
+
+    chart.updateChartConfig({ legend: { position: "top-right" } });
+    assert.deepStrictEqual(plotSizeOf(container), [width, height]);
+    chart.destroy();
+});
+
+test("legend.columns lays the items out row by row", () => {
+    const { chart, container } = createChart({ legend: { columns: 2 } });
+    chart.addData({ a: { x: [0], y: [0] }, b: { x: [0], y: [1] }, c: { x: [0], y: [2] } });
+    assert.deepStrictEqual(transformsOf(container), ["translate(0, 0)", "translate(36, 0)", "translate(0, 20)"]);
+    chart.destroy();
+});
+
+test("long labels are truncated, with the full label on hover", () => {
+    const { chart, container } = createChart({
+        legend: { maxLabelWidth: 30 },
+        series: { a: { label: "temperature" }, b: { label: "rpm" } }
+    });
+    chart.addData({ a: { x: [0], y: [0] }, b: { x: [0], y: [1] } });
+    const labelOf = (seriesId) => legendItemOf(container, seriesId).querySelector("text").textContent;
+    const titleOf = (seriesId) => legendItemOf(container, seriesId).querySelector("title").textContent;
+    assert.strictEqual(labelOf("a"), "temp…"); // 6px per character in the test DOM
+    assert.strictEqual(titleOf("a"), "temperature");
+    assert.strictEqual(labelOf("b"), "rpm");
+    assert.strictEqual(titleOf("b"), "");
+    chart.destroy();
+});
+
+test('items beyond the available height collapse into "+N more"', () => {
+    const { chart, container } = createChart({ legend: { maxHeight: 60 } });
+    const data = {};
+    for (let i = 0; i < 12; i++) data[`s${i}`] = { x: [0], y: [i] };
+    chart.addData(data);
+    const shown = [...container.querySelectorAll(".legend-item")].filter((item) => item.style.display !== "none");
+    assert.deepStrictEqual(shown.map((item) => item.__data__[0]), ["s0", "s1"]);
+    const more = container.querySelector(".legend-more");
+    assert.strictEqual(more.querySelector("tspan").textContent, "+10 more");
+    assert.strictEqual(more.getAttribute("transform"), "translate(0, 40)");
+    assert.strictEqual(more.querySelector("title").textContent.split("\n").length, 10);
+
+    chart.updateChartConfig({ legend: { maxHeight: null } }); // The plot height holds all items
+    assert.strictEqual(container.querySelector(".legend-more"), null);
+    chart.destroy();
+});
+
+test("legend.showValues shows the latest value or the picked statistics, formatted", () => {
+    const { chart, container } = createChart({ legend: { showValues: true }, series: { a: { valueFormat: ".1f" } } });
+    chart.addData({ a: { x: [0, 1, 2], y: [2, 6, 4] }, b: { x: [0], y: [null] } });
+    const valuesOf = (seriesId) => legendItemOf(container, seriesId).querySelector(".legend-values").textContent;
+    assert.strictEqual(valuesOf("a"), "4.0");
+    assert.strictEqual(valuesOf("b"), "–");
+    chart.addData({ a: { x: [3], y: [5] } });
+    assert.strictEqual(valuesOf("a"), "5.0");
+
+    chart.updateChartConfig({ legend: { showValues: ["min", "max", "mean", "median"] } });
+    assert.strictEqual(valuesOf("a"), "min 2.0  max 6.0  mean 4.3");
+
+    chart.updateChartConfig({ legend: { showValues: false } });
+    assert.strictEqual(legendItemOf(container, "a").querySelector(".legend-values").style.display, "none");
+    chart.destroy();
+});
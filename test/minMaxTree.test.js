@@ -0,0 +1,21 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { MinMaxTree } = require("../src/minMaxTree");
+
+test("query aggregates the slots of a range, ignoring NaN and empty slots", () => {
+    const tree = new MinMaxTree(7);
+    [4, -2, NaN, 0.5, 9, 3].forEach((value, slot) => tree.set(slot, value));
+    assert.deepStrictEqual(tree.query(0, 7), { min: -2, max: 9, minPositive: 0.5 });
+    assert.deepStrictEqual(tree.query(1, 3), { min: -2, max: -2, minPositive: Infinity });
+    assert.deepStrictEqual(tree.query(4, 6), { min: 3, max: 9, minPositive: 3 });
+    assert.deepStrictEqual(tree.query(2, 3), { min: Infinity, max: -Infinity, minPositive: Infinity });
+    assert.deepStrictEqual(tree.query(3, 3), { min: Infinity, max: -Infinity, minPositive: Infinity });
+});
+
+test("set replaces a slot's value", () => {
+    const tree = new MinMaxTree(4);
+    [1, 2, 3, 4].forEach((value, slot) => tree.set(slot, value));
+    tree.set(3, -1);
+    tree.set(0, NaN);
+    assert.deepStrictEqual(tree.query(0, 4), { min: -1, max: 3, minPositive: 2 });
+});
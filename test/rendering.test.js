@@ -0,0 +1,225 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const d3 = require("d3");
+const { window, createContainer } = require("./helpers/dom");
+const { StreamingChart } = require("../lib.js")(d3);
+
+// A stand-in for CanvasRenderingContext2D (jsdom has none) recording what is drawn
+function createRecordingContext() {
+    const calls = [];
+    const state = {};
+    const context = new Proxy(state, {
+        get: (target, name) => (name in target ? target[name] : (...args) => calls.push([name, ...args])),
+        set: (target, name, value) => {
+            target[name] = value;
+            calls.push([`${name}=`, value]);
+            return true;
+        }
+    });
+    return { calls, context };
+}
+
+function createChart(config) {
+    const container = createContainer();
+    const chart = new StreamingChart(container, { renderMode: "sync", ...config });
+    return { chart, container };
+}
+
+const countCalls = (calls, name) => calls.filter((call) => call[0] === name).length;
+
+test('renderingHint "performance" draws the series on a canvas under the SVG', (t) => {
+    const { calls, context } = createRecordingContext();
+    t.mock.method(window.HTMLCanvasElement.prototype, "getContext", () => context);
+    const { chart, container } = createChart({
+        renderingHint: "performance",
+        series: { a: { color: "#ff0000" } }
+    });
+    chart.addData({ a: { x: [0, 1, 2, 3], y: [1, 3, 2, 4] } });
+
+    const canvas = container.querySelector("canvas.lines-canvas");
+    assert.ok(canvas);
+    assert.strictEqual(canvas.nextElementSibling, container.querySelector("svg"));
+    assert.strictEqual(container.querySelectorAll("path.series-line").length, 0);
+    assert.strictEqual(countCalls(calls, "moveTo"), 1);
+    assert.strictEqual(countCalls(calls, "lineTo"), 3);
+    assert.ok(calls.some(([name, value]) => name === "strokeStyle=" && value === "#ff0000"));
+    chart.destroy();
+    assert.strictEqual(container.querySelector("canvas"), null);
+});
+
+test("switching renderingHint at runtime moves the series between canvas and SVG", (t) => {
+    t.mock.method(window.HTMLCanvasElement.prototype, "getContext", () => createRecordingContext().context);
+    const { chart, container } = createChart();
+    chart.addData({ a: { x: [0, 1, 2], y: [1, 2, 3] } });
+    assert.strictEqual(container.querySelectorAll("path.series-line").length, 1);
+
+    chart.updateChartConfig({ renderingHint: "performance" });
+    assert.ok(container.querySelector("canvas.lines-canvas"));
+    assert.strictEqual(container.querySelectorAll("path.series-line").length, 0);
+
+    chart.updateChartConfig({ renderingHint: "quality" });
+    assert.strictEqual(container.querySelector("canvas"), null);
+    assert.strictEqual(container.querySelectorAll("path.series-line").length, 1);
+    chart.destroy();
+});
+
+// Path of each series (line/markers/bars, and the area fill) by series id
+function seriesPaths(container) {
+    const paths = {};
+    container.querySelectorAll("g.series").forEach((group) => {
+        const line = group.querySelector(".series-line");
+        paths[group.__data__[0]] = {
+            d: line.getAttribute("d"),
+            fill: line.getAttribute("fill"),
+            stroke: line.getAttribute("stroke"),
+            area: group.querySelector(".series-area").getAttribute("d")
+        };
+    });
+    return paths;
+}
+
+const countCommands = (d, command) => (d.match(new RegExp(command, "g")) || []).length;
+
+test("series types draw lines, markers, steps, areas and bars", () => {
+    const { chart, container } = createChart({
+        series: {
+            line: { color: "#111111" },
+            scatter: { type: "scatter", color: "#222222", markerSize: 4 },
+            step: { type: "step" },
+            area: { type: "area" },
+            bar: { type: "bar", color: "#555555" }
+        }
+    });
+    const data = {};
+    ["line", "scatter", "step", "area", "bar"].forEach((seriesId) => {
+        data[seriesId] = { x: [0, 1, 2, 3], y: [1, 3, 2, 4] };
+    });
+    chart.addData(data);
+    const paths = seriesPaths(container);
+
+    assert.strictEqual(countCommands(paths.line.d, "L"), 3);
+    assert.deepStrictEqual([paths.line.fill, paths.line.stroke, paths.line.area], ["none", "#111111", null]);
+    // Each marker is a circle of two arcs
+    assert.strictEqual(countCommands(paths.scatter.d, "A4,4"), 8);
+    assert.deepStrictEqual([paths.scatter.fill, paths.scatter.stroke], ["#222222", "none"]);
+    // Step-after: a horizontal then a vertical segment per sample
+    assert.strictEqual(countCommands(paths.step.d, "L"), 6);
+    assert.ok(paths.area.area && countCommands(paths.area.area, "Z") === 1);
+    assert.strictEqual(countCommands(paths.bar.d, "Z"), 4);
+    assert.deepStrictEqual([paths.bar.fill, paths.bar.stroke], ["#555555", "none"]);
+    chart.destroy();
+});
+
+test("updateSeriesConfig switches the type and its legend symbol at runtime", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const { chart, container } = createChart();
+    chart.addData({ a: { x: [0, 1, 2], y: [1, 2, 3] } });
+    const symbol = () => container.querySelector(".legend-symbol").getAttribute("d");
+    const lineSymbol = symbol();
+
+    chart.updateSeriesConfig("a", { type: "bar" });
+    assert.strictEqual(countCommands(seriesPaths(container).a.d, "Z"), 3);
+    assert.notStrictEqual(symbol(), lineSymbol);
+
+    chart.updateSeriesConfig("a", { type: "pie" });
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.strictEqual(countCommands(seriesPaths(container).a.d, "L"), 2); // Drawn as a line
+    chart.destroy();
+});
+
+test("area and bar series fill to their baseline, kept in the Y range", () => {
+    const { chart, container } = createChart({ series: { a: { type: "bar", baseline: -10 } } });
+    chart.addData({ a: { x: [0, 1], y: [5, 6] } });
+    assert.ok(chart.getView().yDomain[0] <= -10);
+    chart.updateSeriesConfig("a", { type: "area", baseline: 0 });
+    assert.ok(chart.getView().yDomain[0] <= 0 && chart.getView().yDomain[0] > -10);
+    assert.ok(seriesPaths(container).a.area);
+    chart.destroy();
+});
+
+// Queues animation frame callbacks until the test runs them
+function mockAnimationFrames(t) {
+    const frames = new Map();
+    let lastId = 0;
+    globalThis.requestAnimationFrame = (callback) => {
+        frames.set(++lastId, callback);
+        return lastId;
+    };
+    globalThis.cancelAnimationFrame = (id) => frames.delete(id);
+    t.after(() => {
+        delete globalThis.requestAnimationFrame;
+        delete globalThis.cancelAnimationFrame;
+    });
+    return {
+        get pending() {
+            return frames.size;
+        },
+        run() {
+            const callbacks = [...frames.values()];
+            frames.clear();
+            callbacks.forEach((callback) => callback());
+        }
+    };
+}
+
+test('renderMode "frame" coalesces the redraws of many addData calls into one frame', (t) => {
+    const frames = mockAnimationFrames(t);
+    const { chart, container } = createChart({ renderMode: "frame" });
+    const redraws = [];
+    chart.on("viewchange", ({ cause }) => redraws.push(cause));
+    for (let x = 0; x < 5; x++) chart.addData({ a: { x: [x], y: [x] } });
+    assert.strictEqual(frames.pending, 1);
+    assert.deepStrictEqual(redraws, []);
+    assert.strictEqual(chart.getData("a").length, 5); // Stored right away
+
+    frames.run();
+    assert.deepStrictEqual(redraws, ["data"]);
+    assert.strictEqual(container.querySelectorAll("path.series-line").length, 1);
+    chart.destroy();
+});
+
+test("flush() draws pending data right away and cancels the frame", (t) => {
+    const frames = mockAnimationFrames(t);
+    const { chart } = createChart({ renderMode: "frame" });
+    const redraws = [];
+    chart.on("viewchange", ({ cause }) => redraws.push(cause));
+    chart.flush(); // Nothing pending
+    chart.addData({ a: { x: [0, 1], y: [0, 1] } });
+    chart.flush();
+    assert.deepStrictEqual(redraws, ["data"]);
+    assert.strictEqual(frames.pending, 0);
+
+    chart.addData({ a: { x: [2], y: [2] } });
+    chart.updateChartConfig({ renderMode: "sync" }); // Draws what was waiting
+    assert.deepStrictEqual(redraws, ["data", "data"]);
+    chart.addData({ a: { x: [3], y: [3] } });
+    assert.deepStrictEqual(redraws, ["data", "data", "data"]);
+    assert.strictEqual(frames.pending, 0);
+    chart.destroy();
+});
+
+test("destroy() cancels a pending frame", (t) => {
+    const frames = mockAnimationFrames(t);
+    const { chart } = createChart({ renderMode: "frame" });
+    chart.addData({ a: { x: [0], y: [0] } });
+    assert.strictEqual(frames.pending, 1);
+    chart.destroy();
+    assert.strictEqual(frames.pending, 0);
+});
+
+test("null samples and gapThreshold break the drawn line", () => {
+    const { chart, container } = createChart({ series: { a: {}, b: { gapThreshold: 5 } } });
+    chart.addData({
+        a: { x: [0, 1, 2, 3], y: [1, null, 2, 3] },
+        b: { x: [0, 1, 10, 11], y: [1, 2, 3, 4] }
+    });
+    const pathOf = (seriesId) => [...container.querySelectorAll("g.series")]
+        .find((group) => group.__data__[0] === seriesId)
+        .querySelector("path.series-line")
+        .getAttribute("d");
+    assert.strictEqual(pathOf("a").split("M").length - 1, 2);
+    assert.strictEqual(pathOf("b").split("M").length - 1, 2);
+    chart.updateSeriesConfig("b", { gapThreshold: null });
+    assert.strictEqual(pathOf("b").split("M").length - 1, 1);
+    chart.destroy();
+});
@@ -0,0 +1,188 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { RingBuffer } = require("../src/ringBuffer");
+
+function fill(buffer, xs) {
+    xs.forEach((x) => buffer.push(x, x * 10));
+    return buffer;
+}
+
+const xsOf = (buffer) => buffer.toArray().map((point) => point.x);
+
+test("a full buffer evicts its oldest samples and wraps around", () => {
+    const buffer = fill(new RingBuffer(4), [1, 2, 3, 4, 5, 6]);
+    assert.strictEqual(buffer.length, 4);
+    assert.deepStrictEqual(buffer.toArray(), [{ x: 3, y: 30 }, { x: 4, y: 40 }, { x: 5, y: 50 }, { x: 6, y: 60 }]);
+    assert.deepStrictEqual(buffer.xExtent(), [3, 6]);
+    assert.strictEqual(buffer.bisectLeft(5), 2);
+    assert.strictEqual(buffer.bisectRight(5), 3);
+});
+
+test("storage grows past the initial allocation up to the capacity", () => {
+    const buffer = fill(new RingBuffer(1000), Array.from({ length: 1500 }, (_, i) => i));
+    assert.strictEqual(buffer.length, 1000);
+    assert.deepStrictEqual(buffer.xExtent(), [500, 1499]);
+    assert.deepStrictEqual(buffer.yExtent(), [5000, 14990]);
+});
+
+test("missing Y values are stored as NaN and ignored by yExtent", () => {
+    const buffer = new RingBuffer();
+    buffer.push(0, null);
+    buffer.push(1, 5);
+    buffer.push(2, undefined);
+    assert.ok(Number.isNaN(buffer.y(0)));
+    assert.deepStrictEqual(buffer.yExtent(), [5, 5]);
+    assert.strictEqual(buffer.yExtent(0, 1), null);
+});
+
+test("yExtent covers ranges crossing the wrap point", () => {
+    const buffer = new RingBuffer(5);
+    [[0, 7], [1, 1], [2, 9], [3, 2], [4, 3], [5, -4], [6, 8]].forEach(([x, y]) => buffer.push(x, y));
+    // Stored oldest first: y = 9, 2, 3, -4, 8; the last two fill the first physical slots
+    assert.deepStrictEqual(buffer.yExtent(), [-4, 9]);
+    assert.deepStrictEqual(buffer.yExtent(1, 4), [-4, 3]);
+    assert.deepStrictEqual(buffer.yExtent(3, 5), [-4, 8]);
+    assert.deepStrictEqual(buffer.yExtent(1, 3), [2, 3]);
+    assert.deepStrictEqual(buffer.yExtent(0, 5, true), [2, 9]);
+});
+
+test("insert keeps X order and shifts the newer samples", () => {
+    const buffer = fill(new RingBuffer(), [1, 3, 5]);
+    assert.strictEqual(buffer.insert(4, 0), true);
+    assert.strictEqual(buffer.insert(3, 1), true); // After the sample with the same X
+    assert.strictEqual(buffer.insert(0, 2), true);
+    assert.deepStrictEqual(buffer.toArray(), [
+        { x: 0, y: 2 }, { x: 1, y: 10 }, { x: 3, y: 30 }, { x: 3, y: 1 }, { x: 4, y: 0 }, { x: 5, y: 50 }
+    ]);
+    assert.strictEqual(buffer.isSorted, true);
+});
+
+test("insert into a full buffer evicts the oldest sample", () => {
+    const buffer = fill(new RingBuffer(4), [0, 2, 4, 6, 8]); // Wrapped: holds 2..8
+    assert.strictEqual(buffer.insert(5, 0), true);
+    assert.deepStrictEqual(xsOf(buffer), [4, 5, 6, 8]);
+    assert.deepStrictEqual(buffer.yExtent(), [0, 80]);
+    // Older than every stored sample: not kept
+    assert.strictEqual(buffer.insert(1, 0), false);
+    assert.deepStrictEqual(xsOf(buffer), [4, 5, 6, 8]);
+});
+
+test("setCapacity shrinks to the newest samples and grows without losing any", () => {
+    const buffer = fill(new RingBuffer(6), [1, 2, 3, 4, 5, 6, 7, 8]); // Wrapped: holds 3..8
+    buffer.setCapacity(3);
+    assert.strictEqual(buffer.capacity, 3);
+    assert.deepStrictEqual(xsOf(buffer), [6, 7, 8]);
+    assert.deepStrictEqual(buffer.yExtent(), [60, 80]);
+
+    buffer.setCapacity(5);
+    fill(buffer, [9, 10, 11]);
+    assert.deepStrictEqual(xsOf(buffer), [7, 8, 9, 10, 11]);
+    assert.deepStrictEqual(buffer.yExtent(), [70, 110]);
+
+    buffer.setCapacity(Infinity);
+    fill(buffer, Array.from({ length: 300 }, (_, i) => 12 + i));
+    assert.strictEqual(buffer.length, 305);
+    assert.deepStrictEqual(buffer.xExtent(), [7, 311]);
+});
+
+test("dropBefore removes the samples older than an X value", () => {
+    const buffer = fill(new RingBuffer(5), [1, 2, 3, 4, 5, 6, 7]); // Wrapped: holds 3..7
+    buffer.dropBefore(5);
+    assert.deepStrictEqual(xsOf(buffer), [5, 6, 7]);
+    buffer.dropBefore(0);
+    assert.deepStrictEqual(xsOf(buffer), [5, 6, 7]);
+
+    // Unsorted: stops at the first sample that is not older
+    const unsorted = fill(new RingBuffer(), [1, 2, 5, 3, 6]);
+    unsorted.dropBefore(4);
+    assert.deepStrictEqual(xsOf(unsorted), [5, 3, 6]);
+    buffer.dropBefore(100);
+    assert.strictEqual(buffer.length, 0);
+});
+
+test("isSorted recovers once the out-of-order samples are gone", () => {
+    const evicted = fill(new RingBuffer(4), [1, 2, 0, 3]);
+    assert.strictEqual(evicted.isSorted, false);
+    fill(evicted, [4, 5]); // Evicts 1 and 2: 0 is now the oldest
+    assert.strictEqual(evicted.isSorted, true);
+    fill(evicted, [1]);
+    assert.strictEqual(evicted.isSorted, false);
+
+    const dropped = fill(new RingBuffer(), [1, 5, 2, 3, 0, 4]);
+    dropped.dropOldest(2);
+    assert.strictEqual(dropped.isSorted, false);
+    dropped.dropOldest(3);
+    assert.strictEqual(dropped.isSorted, true);
+
+    const shrunk = fill(new RingBuffer(), [3, 1, 2]);
+    shrunk.setCapacity(2);
+    assert.strictEqual(shrunk.isSorted, true);
+
+    const cleared = fill(new RingBuffer(), [2, 1]);
+    cleared.clear();
+    fill(cleared, [1, 2]);
+    assert.strictEqual(cleared.isSorted, true);
+});
+
+test("unsorted buffers append on insert and scan for their X extent", () => {
+    const buffer = fill(new RingBuffer(), [1, 5, 2]);
+    assert.strictEqual(buffer.insert(3, 0), true);
+    assert.deepStrictEqual(xsOf(buffer), [1, 5, 2, 3]);
+    assert.deepStrictEqual(buffer.xExtent(), [1, 5]);
+});
+
+test("random operations match a plain array model", () => {
+    let seed = 42;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const buffer = new RingBuffer(8);
+    let model = [];
+    let capacity = 8;
+    const isSorted = (points) => points.every((point, i) => i === 0 || points[i - 1].x <= point.x);
+
+    for (let step = 0; step < 2000; step++) {
+        const x = Math.floor(random() * 50);
+        const y = random() < 0.1 ? null : Math.round(random() * 100) - 50;
+        const operation = random();
+        if (operation < 0.5) {
+            buffer.push(x, y);
+            model.push({ x, y: y ?? NaN });
+            if (model.length > capacity) model.shift();
+        } else if (operation < 0.75) {
+            const stored = buffer.insert(x, y);
+            if (!isSorted(model)) {
+                model.push({ x, y: y ?? NaN });
+                if (model.length > capacity) model.shift();
+            } else {
+                const index = model.filter((point) => point.x <= x).length;
+                if (model.length === capacity && index === 0) {
+                    assert.strictEqual(stored, false);
+                } else {
+                    model.splice(index, 0, { x, y: y ?? NaN });
+                    if (model.length > capacity) model.shift();
+                }
+            }
+        } else if (operation < 0.85) {
+            buffer.dropBefore(x);
+            if (isSorted(model)) {
+                model = model.filter((point) => point.x >= x);
+            } else {
+                while (model.length > 0 && model[0].x < x) model.shift();
+            }
+        } else if (operation < 0.95) {
+            const count = Math.floor(random() * 3);
+            buffer.dropOldest(count);
+            model = model.slice(count);
+        } else {
+            capacity = 1 + Math.floor(random() * 12);
+            buffer.setCapacity(capacity);
+            model = model.slice(Math.max(0, model.length - capacity));
+        }
+
+        assert.deepStrictEqual(buffer.toArray(), model, `step ${step}`);
+        assert.strictEqual(buffer.isSorted, isSorted(model), `isSorted at step ${step}`);
+        const start = Math.floor(random() * (model.length + 1));
+        const end = start + Math.floor(random() * (model.length - start + 1));
+        const ys = model.slice(start, end).map((point) => point.y).filter((v) => !Number.isNaN(v));
+        assert.deepStrictEqual(buffer.yExtent(start, end), ys.length ? [Math.min(...ys), Math.max(...ys)] : null, `yExtent at step ${step}`);
+    }
+});
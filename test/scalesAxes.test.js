@@ -0,0 +1,194 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const d3 = require("d3");
+const { window, createContainer } = require("./helpers/dom");
+const { RingBuffer } = require("../src/ringBuffer");
+const { defaultConfig, deepMerge } = require("../src/config");
+const {
+    createYScale,
+    isPlottableValue,
+    checkYAxisRanges,
+    zoomDomain,
+    calculateYDomain
+} = require("../src/scalesAxes");
+const { StreamingChart } = require("../lib.js")(d3);
+
+const T0 = Date.UTC(2024, 0, 1, 12, 0, 0);
+const MINUTE = 60 * 1000;
+
+function createChart(config) {
+    const container = createContainer();
+    const chart = new StreamingChart(container, { renderMode: "sync", ...config });
+    return { chart, container };
+}
+
+const tickLabels = (container, axisClass) => Array.from(container.querySelectorAll(`.${axisClass} .tick text`), (text) => text.textContent);
+
+test('xAxis.type "utc" takes Dates or epoch milliseconds and labels ticks as times', () => {
+    const { chart, container } = createChart({ xAxis: { type: "utc" } });
+    chart.addData({ a: { x: [new Date(T0), T0 + MINUTE, new Date(T0 + 2 * MINUTE)], y: [1, 2, 3] } });
+    assert.deepStrictEqual(chart.getData("a").map((point) => point.x), [T0, T0 + MINUTE, T0 + 2 * MINUTE]);
+    const labels = tickLabels(container, "x-axis");
+    assert.ok(labels.includes("12:01") && labels.includes("12:02"), labels.join(" | "));
+    assert.ok(labels.every((label) => !/\d{5}|e\+/.test(label)), labels.join(" | ")); // No raw milliseconds
+    chart.destroy();
+});
+
+test("a duration maxTrackX follows the last minutes of a time axis", () => {
+    const { chart } = createChart({ xAxis: { type: "time", maxTrackX: "5m" } });
+    const xs = Array.from({ length: 21 }, (_, i) => T0 + i * MINUTE);
+    chart.addData({ a: { x: xs, y: xs.map((_, i) => i) } });
+    const [xMin, xMax] = chart.getView().xDomain;
+    assert.strictEqual(xMax, T0 + 20 * MINUTE);
+    assert.strictEqual(xMax - xMin, 5 * MINUTE);
+    chart.destroy();
+});
+
+test("an invalid duration is rejected when set and the previous value kept", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const { chart } = createChart({ xAxis: { type: "time", maxTrackX: "5 minutes" } });
+    const xs = Array.from({ length: 11 }, (_, i) => T0 + i * MINUTE);
+    chart.addData({ a: { x: xs, y: xs.map((_, i) => i) } });
+    assert.deepStrictEqual(chart.getView().xDomain, [T0, T0 + 10 * MINUTE]); // Default: Infinity
+    chart.updateChartConfig({ xAxis: { maxTrackX: "2m" } });
+    chart.updateChartConfig({ xAxis: { maxTrackX: "soon" } });
+    assert.deepStrictEqual(chart.getView().xDomain, [T0 + 8 * MINUTE, T0 + 10 * MINUTE]);
+    assert.strictEqual(warn.mock.callCount(), 2);
+    chart.destroy();
+});
+
+function createBuffer(points) {
+    const buffer = new RingBuffer();
+    points.forEach(([x, y]) => buffer.push(x, y));
+    return buffer;
+}
+
+const yConfig = (yAxis) => deepMerge(defaultConfig, { yAxis });
+const assertClose = (actual, expected) => {
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9 * Math.max(1, Math.abs(expected[i])), `${actual} != ${expected}`));
+};
+
+test("createYScale builds the configured scale type", () => {
+    assert.strictEqual(createYScale(d3, { scale: "log" })(100), d3.scaleLog()(100));
+    assert.strictEqual(createYScale(d3, { scale: "symlog", constant: 2 }).constant(), 2);
+    assert.strictEqual(createYScale(d3, { scale: "pow", exponent: 3 }).exponent(), 3);
+    assert.strictEqual(typeof createYScale(d3, {}).interpolate, "function");
+});
+
+test("log axes drop non-positive values and pad in decades", () => {
+    const config = yConfig({ scale: "log" });
+    assert.strictEqual(isPlottableValue(config.yAxis, 0), false);
+    assert.strictEqual(isPlottableValue(config.yAxis, 1e-6), true);
+    assert.strictEqual(isPlottableValue(yConfig({}).yAxis, -1), true);
+
+    const dataStore = { a: createBuffer([[0, -5], [1, 0], [2, 1e-3], [3, 10], [4, 1e3]]) };
+    const [min, max] = calculateYDomain(d3, config, dataStore, [0, 4]);
+    // Six decades padded by 5% each side: 0.3 decades
+    assertClose([Math.log10(min), Math.log10(max)], [-3.3, 3.3]);
+
+    // The linear padding would go below zero here
+    assertClose(calculateYDomain(d3, yConfig({}), { a: createBuffer([[0, 1e-3], [1, 1e3]]) }, [0, 1]), [1e-3 - 49.99995, 1e3 + 49.99995]);
+});
+
+test("log axes ignore non-positive configured range bounds, with a warning", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const config = yConfig({ scale: "log", range: { min: 0, max: 100 } });
+    checkYAxisRanges(config);
+    assert.strictEqual(warn.mock.callCount(), 1);
+    const [min, max] = calculateYDomain(d3, config, { a: createBuffer([[0, 0.1], [1, 10]]) }, [0, 1]);
+    // Auto-scaled from 0.1, up to the configured 100, both padded
+    assertClose([Math.log10(min), Math.log10(max)], [-1.15, 2.15]);
+    checkYAxisRanges(yConfig({ range: { min: 0, max: 100 } }));
+    assert.strictEqual(warn.mock.callCount(), 1);
+});
+
+test("zoomDomain zooms in the scale's transformed space", () => {
+    assertClose(zoomDomain([0, 10], 5, 2), [2.5, 7.5]);
+    // Zooming into a log axis keeps the decades around the center symmetric
+    assertClose(zoomDomain([1, 1e4], 100, 2, { scale: "log" }), [10, 1000]);
+    assertClose(zoomDomain([0, 16], 0, 2, { scale: "pow", exponent: 0.5 }), [0, 4]);
+});
+
+test("a log Y axis chart auto-scales over its positive samples", () => {
+    const { chart } = createChart({ yAxis: { scale: "log" } });
+    chart.addData({ a: { x: [0, 1, 2, 3], y: [0, 1, 100, -1] } });
+    const [min, max] = chart.getView().yDomain;
+    assertClose([Math.log10(min), Math.log10(max)], [-0.1, 2.1]);
+    chart.destroy();
+});
+
+test("Alt+wheel zooms a log Y axis evenly in decades", () => {
+    const { chart, container } = createChart({ yAxis: { scale: "log" } });
+    chart.addData({ a: { x: [0, 1, 2], y: [1, 100, 1e4] } });
+    const decades = () => chart.getView().yDomain.map(Math.log10);
+    const [t0, t1] = decades();
+    container.querySelector(".zoom-overlay").dispatchEvent(new window.WheelEvent("wheel", {
+        bubbles: true, cancelable: true, view: window, altKey: true, deltaY: -100, clientX: 300, clientY: 150
+    }));
+    const [z0, z1] = decades();
+    assert.ok(Math.abs((z1 - z0) - (t1 - t0) / 1.5) < 1e-9);
+    assert.ok(z0 > t0 && z1 < t1);
+    assert.deepStrictEqual(chart.getView().xDomain, [0, 2]); // X is left alone
+    chart.destroy();
+});
+
+const wheel = (element, init) => element.dispatchEvent(new window.WheelEvent("wheel", {
+    bubbles: true, cancelable: true, view: window, deltaY: -100, clientX: 300, clientY: 150, ...init
+}));
+
+test("each Y axis auto-scales over the series assigned to it", () => {
+    const { chart, container } = createChart({
+        yAxes: { pressure: { label: "kPa" } },
+        series: { pressure: { yAxisId: "pressure" }, lost: { yAxisId: "missing" } }
+    });
+    chart.addData({
+        temp: { x: [0, 1, 2], y: [20, 21, 22] },
+        pressure: { x: [0, 1, 2], y: [100, 102, 104] },
+        lost: { x: [0, 1, 2], y: [21, 21, 21] } // Unknown axis: drawn on the primary one
+    });
+    const { yDomain, yAxes } = chart.getView();
+    assert.ok(yDomain[0] > 19 && yDomain[1] < 23, `${yDomain}`);
+    assert.ok(yAxes.pressure[0] > 99 && yAxes.pressure[1] < 105, `${yAxes.pressure}`);
+    assert.strictEqual(container.querySelectorAll(".y-axis-secondary").length, 1);
+    assert.strictEqual(container.querySelector(".secondary-y-axis-label").textContent, "kPa");
+    chart.destroy();
+});
+
+test("wheel over a Y axis zooms that axis alone", () => {
+    const { chart, container } = createChart({ yAxes: { pressure: {} }, series: { pressure: { yAxisId: "pressure" } } });
+    chart.addData({ temp: { x: [0, 1], y: [0, 10] }, pressure: { x: [0, 1], y: [100, 200] } });
+    const before = chart.getView();
+    wheel(container.querySelector(".y-axis-secondary"));
+    const after = chart.getView();
+    assert.deepStrictEqual(after.yDomain, before.yDomain);
+    assert.deepStrictEqual(after.xDomain, before.xDomain);
+    const height = (domain) => domain[1] - domain[0];
+    assert.ok(Math.abs(height(after.yAxes.pressure) - height(before.yAxes.pressure) / 1.5) < 1e-9);
+    chart.destroy();
+});
+
+test("Y axes can be added, removed and added again at runtime", () => {
+    const { chart, container } = createChart({ series: { pressure: { yAxisId: "pressure" } } });
+    chart.addData({ temp: { x: [0, 1], y: [0, 10] }, pressure: { x: [0, 1], y: [100, 200] } });
+    assert.ok(chart.getView().yDomain[1] >= 200); // No such axis yet: shares the primary one
+
+    chart.updateChartConfig({ yAxes: { pressure: { label: "kPa" } } });
+    assert.strictEqual(container.querySelectorAll(".y-axis-secondary").length, 1);
+    assert.ok(chart.getView().yDomain[1] < 100);
+    chart.destroy();
+});
+
+test("a Y axis removed and added again is drawn again", () => {
+    const { chart, container } = createChart({ yAxes: { pressure: {} }, series: { pressure: { yAxisId: "pressure" } } });
+    chart.addData({ pressure: { x: [0, 1], y: [100, 200] } });
+    const ticks = () => container.querySelectorAll(".y-axis-secondary .tick").length;
+    assert.ok(ticks() > 0);
+
+    chart.updateChartConfig({ yAxes: { pressure: null } });
+    assert.strictEqual(container.querySelectorAll(".y-axis-secondary").length, 0);
+    assert.deepStrictEqual(chart.getView().yAxes, {});
+
+    chart.updateChartConfig({ yAxes: { pressure: {} } });
+    assert.ok(ticks() > 0);
+    chart.destroy();
+});
@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const d3 = require("d3");
+const { createContainer } = require("./helpers/dom");
+const { RingBuffer } = require("../src/ringBuffer");
+const { findNearestPoints } = require("../src/tooltip");
+const { StreamingChart } = require("../lib.js")(d3);
+
+function createBuffer(xs) {
+    const buffer = new RingBuffer();
+    xs.forEach((x) => buffer.push(x, x));
+    return buffer;
+}
+
+function tooltipRows(container) {
+    return Array.from(container.querySelectorAll(".tooltip-row text"), (text) => text.textContent);
+}
+
+test("findNearestPoints snaps to the closest sample of each series", () => {
+    const dataStore = { a: createBuffer([0, 1, 2, 3]), b: createBuffer([0, 10]) };
+    const points = findNearestPoints(d3, dataStore, {}, 1.4);
+    assert.deepStrictEqual(points.map(({ seriesId, x }) => [seriesId, x]), [["a", 1], ["b", 0]]);
+    assert.deepStrictEqual(findNearestPoints(d3, dataStore, { b: { visible: false } }, 2.6).map((p) => p.x), [3]);
+});
+
+test("findNearestPoints scans series holding late samples", () => {
+    const xs = Array.from({ length: 100 }, (_, i) => i).concat([10.5], Array.from({ length: 100 }, (_, i) => 100 + i));
+    const dataStore = { a: createBuffer(xs) };
+    assert.strictEqual(dataStore.a.isSorted, false);
+    assert.strictEqual(findNearestPoints(d3, dataStore, {}, 10.4)[0].x, 10.5);
+    assert.strictEqual(findNearestPoints(d3, dataStore, {}, 150.2)[0].x, 150);
+});
+
+test("the tooltip shows the values with the series' valueFormat", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const container = createContainer();
+    const chart = new StreamingChart(container, {
+        renderMode: "sync",
+        interactions: { tooltip: true },
+        series: { a: { valueFormat: ".2f" } }
+    });
+    chart.addData({ a: { x: [0, 1, 2], y: [1, 2.5, 4] } });
+    chart.setCrosshair(1.1);
+    assert.deepStrictEqual(tooltipRows(container), ["x: 1", "a: 2.50"]);
+
+    // An invalid specifier falls back to the default instead of breaking the tooltip
+    chart.updateSeriesConfig("a", { valueFormat: "abc" });
+    chart.setCrosshair(2);
+    assert.deepStrictEqual(tooltipRows(container), ["x: 2", "a: 4"]);
+    assert.strictEqual(warn.mock.callCount(), 1);
+    chart.destroy();
+});
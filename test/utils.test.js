@@ -0,0 +1,33 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { toNumericX, parseDuration, normalizeDuration } = require("../src/utils");
+
+test("toNumericX converts Dates to epoch milliseconds", () => {
+    assert.strictEqual(toNumericX(new Date(1700000000000)), 1700000000000);
+    assert.strictEqual(toNumericX(42), 42);
+});
+
+test("parseDuration reads duration strings as milliseconds", () => {
+    assert.strictEqual(parseDuration("500ms"), 500);
+    assert.strictEqual(parseDuration("30s"), 30000);
+    assert.strictEqual(parseDuration(" 5m "), 300000);
+    assert.strictEqual(parseDuration("1.5h"), 5400000);
+    assert.strictEqual(parseDuration("2d"), 172800000);
+    assert.strictEqual(parseDuration(250), 250);
+    assert.strictEqual(parseDuration(Infinity), Infinity);
+    assert.throws(() => parseDuration("5 min"), /Invalid duration "5 min"/);
+});
+
+test("normalizeDuration keeps valid values and replaces invalid strings with a warning", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    assert.strictEqual(normalizeDuration("5m", 1000, "maxTrackX"), "5m");
+    assert.strictEqual(normalizeDuration("30000", 1000, "maxTrackX"), 30000);
+    assert.strictEqual(normalizeDuration(Infinity, 1000, "maxTrackX"), Infinity);
+    assert.strictEqual(warn.mock.callCount(), 0);
+
+    assert.strictEqual(normalizeDuration("5 min", 1000, "maxTrackX"), 1000);
+    assert.strictEqual(normalizeDuration("", undefined, "gapThreshold"), undefined);
+    assert.strictEqual(warn.mock.callCount(), 2);
+    assert.match(warn.mock.calls[0].arguments[0], /Keeping 1000 for maxTrackX/);
+    assert.match(warn.mock.calls[1].arguments[0], /Ignoring it for gapThreshold/);
+});
@@ -0,0 +1,209 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const d3 = require("d3");
+const { window, createContainer, dispatchMouse } = require("./helpers/dom");
+const {
+    getBoxZoomAxes,
+    isBoxZoomStart,
+    getBoxZoomExtent,
+    isBoxZoomExtentValid,
+    isSameView,
+    pushView
+} = require("../src/zoom");
+const { StreamingChart } = require("../lib.js")(d3);
+
+const assertClose = (actual, expected) => {
+    assert.strictEqual(actual.length, expected.length);
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `${actual} != ${expected}`));
+};
+
+test("getBoxZoomAxes maps interactions.boxZoom to the zoomed axes", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    assert.strictEqual(getBoxZoomAxes(false), null);
+    assert.deepStrictEqual(getBoxZoomAxes(true), { x: true, y: true });
+    assert.deepStrictEqual(getBoxZoomAxes("x"), { x: true, y: false });
+    assert.deepStrictEqual(getBoxZoomAxes("y"), { x: false, y: true });
+    assert.strictEqual(getBoxZoomAxes("z"), null);
+    assert.strictEqual(warn.mock.callCount(), 1);
+});
+
+test("isBoxZoomStart requires the primary button and the modifier", () => {
+    assert.strictEqual(isBoxZoomStart({ button: 0, shiftKey: true }, "shift"), true);
+    assert.strictEqual(isBoxZoomStart({ button: 0, shiftKey: false }, "shift"), false);
+    assert.strictEqual(isBoxZoomStart({ button: 2, shiftKey: true }, "shift"), false);
+    assert.strictEqual(isBoxZoomStart({ button: 0 }, null), true);
+    assert.strictEqual(isBoxZoomStart({ button: 0, ctrlKey: true }, "hyper"), false);
+});
+
+test("getBoxZoomExtent orders and clamps the box, spanning the plot on unzoomed axes", () => {
+    const both = { x: true, y: true };
+    assert.deepStrictEqual(getBoxZoomExtent([300, 50], [-20, 400], both, 600, 300), { x0: 0, x1: 300, y0: 50, y1: 300 });
+    assert.deepStrictEqual(getBoxZoomExtent([100, 50], [200, 80], { x: true, y: false }, 600, 300),
+        { x0: 100, x1: 200, y0: 0, y1: 300 });
+    assert.strictEqual(isBoxZoomExtentValid({ x0: 100, x1: 103, y0: 0, y1: 300 }, { x: true, y: false }), false);
+    assert.strictEqual(isBoxZoomExtentValid({ x0: 100, x1: 103, y0: 0, y1: 300 }, { x: false, y: true }), true);
+});
+
+// A chart showing x in [0, 10] over its 670 px wide, 330 px high plot
+function createChart(interactions = {}) {
+    const container = createContainer();
+    const chart = new StreamingChart(container, {
+        renderMode: "sync",
+        xAxis: { range: { min: 0, max: 10 } },
+        yAxis: { range: { min: 0, max: 100 } },
+        interactions
+    });
+    chart.addData({ a: { x: [0, 5, 10], y: [0, 100, 50] } });
+    return { chart, overlay: container.querySelector(".zoom-overlay"), container };
+}
+
+function drag(overlay, from, to, init = { shiftKey: true }) {
+    dispatchMouse(overlay, "mousedown", { clientX: from[0], clientY: from[1], ...init });
+    dispatchMouse(window, "mousemove", { clientX: to[0], clientY: to[1] });
+    dispatchMouse(window, "mouseup", { clientX: to[0], clientY: to[1] });
+}
+
+test("a modifier drag zooms to the selected box like setView", () => {
+    const { chart, overlay } = createChart({ boxZoom: true });
+    const events = [];
+    chart.on("viewchange", ({ cause }) => events.push(cause));
+    chart.on("followchange", ({ following, cause }) => events.push(`${following}:${cause}`));
+    drag(overlay, [335, 33], [67, 165]);
+    const { xDomain, yDomain, following } = chart.getView();
+    assertClose(xDomain, [1, 5]);
+    assertClose(yDomain, [50, 90]);
+    assert.strictEqual(following, false);
+    assert.deepStrictEqual(events, ["false:boxZoom", "boxZoom"]);
+    chart.destroy();
+});
+
+test('boxZoom "x" keeps the Y domain; small drags do not zoom', () => {
+    const { chart, overlay } = createChart({ boxZoom: "x" });
+    const { yDomain } = chart.getView();
+    drag(overlay, [67, 33], [69, 300]); // 2 px wide
+    assert.strictEqual(chart.isFollowing(), true);
+    drag(overlay, [67, 33], [335, 300]);
+    assertClose(chart.getView().xDomain, [1, 5]);
+    assert.deepStrictEqual(chart.getView().yDomain, yDomain);
+    chart.destroy();
+});
+
+test("Escape cancels a box zoom and hides the selection", () => {
+    const { chart, overlay, container } = createChart({ boxZoom: true, boxZoomModifier: null });
+    const rect = container.querySelector(".box-zoom-selection");
+    dispatchMouse(overlay, "mousedown", { clientX: 67, clientY: 33 });
+    dispatchMouse(window, "mousemove", { clientX: 335, clientY: 165 });
+    assert.strictEqual(rect.style.display, "");
+    assert.strictEqual(rect.getAttribute("width"), "268");
+    window.dispatchEvent(new window.KeyboardEvent("keydown", { key: "Escape" }));
+    assert.strictEqual(rect.style.display, "none");
+    dispatchMouse(window, "mouseup", { clientX: 335, clientY: 165 });
+    assert.strictEqual(chart.isFollowing(), true);
+    chart.destroy();
+});
+
+test("isSameView compares domains, and follow mode alone for following views", () => {
+    const view = { xDomain: [0, 1], yDomain: [0, 2], yAxes: {}, following: false };
+    assert.strictEqual(isSameView(view, { ...view, xDomain: [0, 1] }), true);
+    assert.strictEqual(isSameView(view, { ...view, yAxes: { right: [0, 1] } }), false);
+    assert.strictEqual(isSameView({ ...view, following: true }, { ...view, xDomain: [5, 6], following: true }), true);
+    assert.strictEqual(isSameView({ ...view, following: true }, view), false);
+});
+
+test("pushView keeps the newest maxSize views", () => {
+    const stack = [];
+    [1, 2, 3, 4].forEach((view) => pushView(stack, view, 3));
+    assert.deepStrictEqual(stack, [2, 3, 4]);
+});
+
+const xMinOf = (chart) => chart.getView().xDomain[0];
+
+test("undoView and redoView step through the view history", () => {
+    const { chart } = createChart();
+    const events = [];
+    chart.on("viewchange", ({ cause }) => events.push(cause));
+    chart.on("followchange", ({ following, cause }) => events.push(`${following}:${cause}`));
+    assert.strictEqual(chart.undoView(), false);
+
+    chart.setView({ xMin: 1, xMax: 5 });
+    chart.setView({ xMin: 2, xMax: 4 });
+    chart.setView({ xMin: 2, xMax: 4 }); // Same view: not recorded
+    events.length = 0;
+    assert.strictEqual(chart.undoView(), true);
+    assert.strictEqual(xMinOf(chart), 1);
+    assert.strictEqual(chart.undoView(), true);
+    assert.strictEqual(chart.isFollowing(), true); // The view before the first setView
+    assert.strictEqual(chart.undoView(), false);
+    assert.deepStrictEqual(events, ["undo", "true:undo", "undo"]);
+
+    assert.strictEqual(chart.redoView(), true);
+    assert.strictEqual(chart.isFollowing(), false);
+    assert.strictEqual(xMinOf(chart), 1);
+    chart.setView({ xMin: 3, xMax: 4 }); // Clears the redo history
+    assert.strictEqual(chart.redoView(), false);
+    assert.strictEqual(chart.undoView(), true);
+    assert.strictEqual(xMinOf(chart), 1);
+    chart.destroy();
+});
+
+test("history honors historySize and setView/resetView { history: false }", () => {
+    const { chart } = createChart({ historySize: 2 });
+    [1, 2, 3].forEach((xMin) => chart.setView({ xMin, xMax: 8 }));
+    chart.setView({ xMin: 4, xMax: 8 }, { history: false });
+    assert.strictEqual(chart.undoView(), true);
+    assert.strictEqual(xMinOf(chart), 2);
+    assert.strictEqual(chart.undoView(), true);
+    assert.strictEqual(xMinOf(chart), 1);
+    assert.strictEqual(chart.undoView(), false);
+
+    chart.resetView({ history: false });
+    assert.strictEqual(chart.undoView(), false);
+    chart.setView({ xMin: 5, xMax: 8 });
+    chart.resetView();
+    assert.strictEqual(chart.undoView(), true);
+    assert.strictEqual(xMinOf(chart), 5);
+
+    chart.updateChartConfig({ interactions: { historySize: 0 } });
+    chart.setView({ xMin: 6, xMax: 8 });
+    assert.strictEqual(chart.undoView(), false);
+    chart.destroy();
+});
+
+test("double-click undoes the last view change, or resets the view", () => {
+    const { chart, overlay } = createChart();
+    chart.setView({ xMin: 1, xMax: 5 });
+    chart.setView({ xMin: 2, xMax: 4 });
+    dispatchMouse(overlay, "dblclick");
+    assert.strictEqual(xMinOf(chart), 1);
+    chart.updateChartConfig({ interactions: { doubleClick: "reset" } });
+    dispatchMouse(overlay, "dblclick");
+    assert.strictEqual(chart.isFollowing(), true);
+    chart.updateChartConfig({ interactions: { doubleClick: null } });
+    chart.setView({ xMin: 2, xMax: 4 });
+    dispatchMouse(overlay, "dblclick");
+    assert.strictEqual(chart.isFollowing(), false);
+    chart.destroy();
+});
+
+test("Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes", () => {
+    const { chart, container } = createChart();
+    const svg = container.querySelector("svg");
+    const press = (key, init) => svg.dispatchEvent(new window.KeyboardEvent("keydown", { key, bubbles: true, cancelable: true, ...init }));
+    chart.setView({ xMin: 1, xMax: 5 });
+    chart.setView({ xMin: 2, xMax: 4 });
+    press("z", { ctrlKey: true });
+    assert.strictEqual(xMinOf(chart), 1);
+    press("Z", { metaKey: true, shiftKey: true });
+    assert.strictEqual(xMinOf(chart), 2);
+    press("z", { metaKey: true });
+    press("y", { ctrlKey: true });
+    assert.strictEqual(xMinOf(chart), 2);
+    press("z"); // No modifier
+    assert.strictEqual(xMinOf(chart), 2);
+
+    chart.updateChartConfig({ interactions: { keyboard: false } });
+    assert.strictEqual(svg.getAttribute("tabindex"), null);
+    press("z", { ctrlKey: true });
+    assert.strictEqual(xMinOf(chart), 2);
+    chart.destroy();
+});